@@ -0,0 +1,54 @@
+/**
+ * Suggest artists, albums and tracks while typing in a search form
+ * Forms marked with data-lastfm-search fill their input's datalist from the
+ * search endpoint they submit to.
+ */
+const DELAY = 200;
+const MIN_LENGTH = 2;
+
+for (const form of document.querySelectorAll("[data-lastfm-search]")) {
+  const input = form.querySelector("input[list]");
+  const datalist = input && document.getElementById(input.getAttribute("list"));
+  if (!datalist) continue;
+
+  let timer;
+  let controller;
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    const q = input.value.trim();
+    if (q.length < MIN_LENGTH) return;
+
+    timer = setTimeout(async () => {
+      controller?.abort();
+      controller = new AbortController();
+
+      const url = new URL(form.action);
+      url.searchParams.set("q", q);
+      url.searchParams.set("prefix", "true");
+      url.searchParams.set("limit", "5");
+      const user = form.querySelector("[name=user]");
+      if (user) url.searchParams.set("user", user.value);
+
+      try {
+        const response = await fetch(url, {
+          headers: { accept: "application/json" },
+          signal: controller.signal,
+        });
+        if (!response.ok) return;
+        const results = await response.json();
+
+        const names = new Set([
+          ...results.tracks.map((track) => track.track),
+          ...results.artists.map((artist) => artist.name),
+          ...results.albums.map((album) => album.album),
+        ]);
+        datalist.replaceChildren(
+          ...[...names].map((name) => new Option(name)),
+        );
+      } catch {
+        // Suggestions are optional; the form still submits
+      }
+    }, DELAY);
+  });
+}
@@ -1,4 +1,5 @@
 import express from "express";
+import multer from "multer";
 import { fileURLToPath } from "node:url";
 import path from "node:path";
 
@@ -7,7 +8,22 @@ import { scrobblesController } from "./lib/controllers/scrobbles.js";
 import { lovedController } from "./lib/controllers/loved.js";
 import { statsController } from "./lib/controllers/stats.js";
 import { nowPlayingController } from "./lib/controllers/now-playing.js";
-import { startSync } from "./lib/sync.js";
+import { syncController } from "./lib/controllers/sync.js";
+import {
+  importController,
+  MAX_UPLOAD_SIZE,
+} from "./lib/controllers/import.js";
+import { exportController } from "./lib/controllers/export.js";
+import { playlistsController } from "./lib/controllers/playlists.js";
+import { listeningController } from "./lib/controllers/listening.js";
+import { feedsController } from "./lib/controllers/feeds.js";
+import { libraryController } from "./lib/controllers/library.js";
+import { searchController } from "./lib/controllers/search.js";
+import { startSync, stopSync } from "./lib/sync.js";
+import { startRepair, stopRepair } from "./lib/repair.js";
+import { startDigests, stopDigests } from "./lib/digest.js";
+import { configureRequests } from "./lib/lastfm-client.js";
+import { MongoCacheStore, responseCache } from "./lib/cache.js";
 import { waitForReady } from "@rmdes/indiekit-startup-gate";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -15,12 +31,56 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const protectedRouter = express.Router();
 const publicRouter = express.Router();
 
+// History exports are parsed in memory, so cap their size
+// (importController.limitSize caps the whole request)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+});
+
 const defaults = {
   mountPath: "/lastfm",
   apiKey: process.env.LASTFM_API_KEY,
   username: process.env.LASTFM_USERNAME,
-  cacheTtl: 900_000, // 15 minutes in ms
+  timezone: "UTC", // IANA timezone for daily trends and calendar periods
+  cacheTtl: 900_000, // 15 minutes in ms, for API methods without their own TTL
+  cacheTtls: {}, // Per-method TTL overrides, e.g. { "user.getTopArtists": 3_600_000 }
+  cacheMaxEntries: 200,
+  persistentCache: false, // Keep cached responses in MongoDB across restarts
   syncInterval: 300_000, // 5 minutes in ms
+  repairInterval: 86_400_000, // 24 hours in ms
+  repairDays: 30,
+  reconcileDays: 14,
+  requestsPerSecond: 4, // Last.fm allows 5 per second averaged over 5 minutes
+  retries: 3,
+  retryDelay: 1000, // Base delay for exponential backoff in ms
+  spotifyMinMsPlayed: 30_000, // Shortest Spotify play imported as a scrobble
+  excludeSources: [], // Scrobble sources left out of stats, e.g. ["spotify"]
+  websub: {
+    hub: null, // WebSub hub pinged when feeds have new items
+  },
+  publicViews: null, // Directories searched before the bundled public page templates
+  micropub: {
+    endpoint: null, // Defaults to Indiekit's own Micropub endpoint
+    token: process.env.LASTFM_MICROPUB_TOKEN,
+  },
+  listenPosts: {
+    enabled: false, // Publish new scrobbles as listen posts
+    lovedOnly: false,
+    newArtistsOnly: false,
+    maxPerDay: 0, // 0 for no limit
+  },
+  likePosts: {
+    enabled: false, // Publish newly loved tracks as like posts
+    backfill: false, // Also publish tracks loved before enabling
+  },
+  digests: {
+    weekly: false, // Post last week's digest every Monday
+    monthly: false, // Post last month's digest on the 1st
+    postStatus: "draft", // "draft" or "published"
+    limit: 5, // Entries in each top list
+    template: null, // Nunjucks template, defaults to a Markdown summary
+  },
   limits: {
     scrobbles: 20,
     loved: 20,
@@ -73,22 +133,83 @@ export default class LastFmEndpoint {
     // Save settings
     protectedRouter.post("/settings", dashboardController.saveSettings);
 
+    // Save digest post settings
+    protectedRouter.post("/digest", dashboardController.saveDigest);
+
     // Manual sync trigger
     protectedRouter.post("/sync", dashboardController.sync);
 
+    // Manual gap repair trigger
+    protectedRouter.post("/repair", dashboardController.repair);
+
+    // Import scrobbles from a history export
+    protectedRouter.post(
+      "/import",
+      importController.limitSize,
+      upload.array("file", 50),
+      importController.post,
+    );
+
+    // Stream scrobble history as CSV, JSON or NDJSON
+    protectedRouter.get("/export", exportController.get);
+
+    // Search listening history (JSON for autocomplete)
+    protectedRouter.get("/search", searchController.get);
+
     return protectedRouter;
   }
 
   /**
    * Public routes (no authentication required)
-   * JSON API endpoints for Eleventy frontend
+   * JSON API endpoints for Eleventy frontend, and HTML listening pages
+   * Each route is also available per account under /api/:user/
+   * (use "everyone" for the combined view of all accounts)
    */
   get routesPublic() {
-    publicRouter.get("/api/now-playing", nowPlayingController.api);
-    publicRouter.get("/api/scrobbles", scrobblesController.api);
-    publicRouter.get("/api/loved", lovedController.api);
-    publicRouter.get("/api/stats", statsController.api);
-    publicRouter.get("/api/stats/trends", statsController.apiTrends);
+    const accountRoutes = {
+      "/now-playing": nowPlayingController.api,
+      "/now-playing.svg": nowPlayingController.svg,
+      "/now-playing.png": nowPlayingController.png,
+      "/scrobbles": scrobblesController.api,
+      "/loved": lovedController.api,
+      "/stats": statsController.api,
+      "/stats/trends": statsController.apiTrends,
+      "/artists/:name": libraryController.artist,
+      "/albums/:artist/:album": libraryController.album,
+      "/tracks/:artist/:track": libraryController.track,
+      "/search": searchController.api,
+      "/playlists/loved": playlistsController.loved,
+      "/playlists/top": playlistsController.top,
+      "/playlists/range": playlistsController.range,
+    };
+
+    for (const [route, handler] of Object.entries(accountRoutes)) {
+      publicRouter.get(`/api${route}`, handler);
+    }
+
+    publicRouter.get("/api/sync/status", syncController.status);
+
+    for (const [route, handler] of Object.entries(accountRoutes)) {
+      publicRouter.get(`/api/:user${route}`, handler);
+    }
+
+    // Server-rendered listening pages (use ?user= for other accounts)
+    publicRouter.get("/listening", listeningController.scrobbles);
+    publicRouter.get("/listening/loved", listeningController.loved);
+    publicRouter.get("/listening/stats", listeningController.stats);
+    publicRouter.get("/listening/artists/:name", listeningController.artist);
+    publicRouter.get(
+      "/listening/albums/:artist/:album",
+      listeningController.album,
+    );
+    publicRouter.get(
+      "/listening/tracks/:artist/:track",
+      listeningController.track,
+    );
+
+    // Atom, RSS and JSON feeds (?format=atom|rss|json, ?user=)
+    publicRouter.get("/feed/scrobbles", feedsController.scrobbles);
+    publicRouter.get("/feed/loved", feedsController.loved);
 
     return publicRouter;
   }
@@ -96,9 +217,26 @@ export default class LastFmEndpoint {
   init(Indiekit) {
     Indiekit.addEndpoint(this);
 
+    // Rate limit, retry policy and response cache are shared by every client
+    configureRequests(this.options);
+    responseCache.configure({
+      maxEntries: this.options.cacheMaxEntries,
+      defaultTtl: this.options.cacheTtl,
+      ttls: this.options.cacheTtls,
+      store: this.options.persistentCache
+        ? new MongoCacheStore(() => Indiekit.database)
+        : null,
+    });
+
     // Add MongoDB collections
     Indiekit.addCollection("scrobbles");
+    Indiekit.addCollection("lovedTracks");
     Indiekit.addCollection("lastfmMeta");
+    Indiekit.addCollection("lastfmSyncRuns");
+    Indiekit.addCollection("lastfmPublished");
+    if (this.options.persistentCache) {
+      Indiekit.addCollection("lastfmCache");
+    }
 
     // Store Last.fm config in application for controller access
     Indiekit.config.application.lastfmConfig = this.options;
@@ -110,7 +248,11 @@ export default class LastFmEndpoint {
     // Start background sync if database is available
     if (Indiekit.config.application.mongodbUrl) {
       this._stopGate = waitForReady(
-        () => startSync(Indiekit, this.options),
+        () => {
+          startSync(Indiekit, this.options);
+          startRepair(Indiekit, this.options);
+          startDigests(Indiekit, this.options);
+        },
         { label: "Last.fm" },
       );
     }
@@ -118,5 +260,8 @@ export default class LastFmEndpoint {
 
   destroy() {
     this._stopGate?.();
+    stopSync();
+    stopRepair();
+    stopDigests();
   }
 }
@@ -0,0 +1,185 @@
+import { escapeXml } from "./utils.js";
+
+/**
+ * Colours of each badge theme
+ */
+export const BADGE_THEMES = {
+  light: {
+    background: "#ffffff",
+    border: "#e1e4e8",
+    text: "#24292f",
+    secondary: "#57606a",
+    accent: "#d51007",
+  },
+  dark: {
+    background: "#0d1117",
+    border: "#30363d",
+    text: "#e6edf3",
+    secondary: "#8b949e",
+    accent: "#f85149",
+  },
+  lastfm: {
+    background: "#d51007",
+    border: "#b30e06",
+    text: "#ffffff",
+    secondary: "#ffd7d4",
+    accent: "#ffffff",
+  },
+};
+
+/**
+ * Dimensions of each badge size
+ */
+export const BADGE_SIZES = {
+  small: { width: 320, height: 80, cover: 56, font: 13 },
+  medium: { width: 420, height: 100, cover: 76, font: 15 },
+  large: { width: 520, height: 128, cover: 100, font: 18 },
+};
+
+const MAX_COVER_BYTES = 512 * 1024;
+const COVER_CACHE_SIZE = 50;
+
+// Cover art changes rarely, so keep a few recent ones as data URIs
+const coverCache = new Map();
+
+/**
+ * Shorten text to fit a width, assuming an average glyph width
+ * @param {string} text - Text
+ * @param {number} width - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {string} - Text, with an ellipsis if shortened
+ */
+function fitText(text, width, fontSize) {
+  const maxChars = Math.floor(width / (fontSize * 0.58));
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Fetch cover art as a data URI
+ * Images in SVG must be embedded: GitHub and most mail clients do not load
+ * external resources from inside an image.
+ * @param {string} url - Cover URL
+ * @returns {Promise<string|null>} - Data URI, or null if unavailable
+ */
+export async function fetchCoverDataUri(url) {
+  if (!url) return null;
+  if (coverCache.has(url)) return coverCache.get(url);
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    const type = response.headers.get("content-type") || "";
+    if (!response.ok || !type.startsWith("image/")) return null;
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_COVER_BYTES) return null;
+
+    const dataUri = `data:${type.split(";")[0]};base64,${buffer.toString("base64")}`;
+    if (coverCache.size >= COVER_CACHE_SIZE) {
+      coverCache.delete(coverCache.keys().next().value);
+    }
+    coverCache.set(url, dataUri);
+    return dataUri;
+  } catch (err) {
+    console.warn("[Last.fm] Could not fetch badge cover:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Render the playing indicator: animated bars while playing, still otherwise
+ * @param {number} x - Left edge
+ * @param {number} y - Baseline
+ * @param {number} size - Height
+ * @param {string} colour - Bar colour
+ * @param {boolean} playing - Whether a track is playing
+ * @returns {string} - SVG elements
+ */
+function playingIndicator(x, y, size, colour, playing) {
+  const barWidth = Math.max(Math.round(size / 5), 2);
+  const heights = [0.6, 1, 0.4];
+
+  return heights
+    .map((ratio, i) => {
+      const height = Math.round(size * ratio);
+      const barX = x + i * (barWidth + 2);
+      const animation = playing
+        ? `<animate attributeName="height" values="${height};${Math.round(size * 0.2)};${size};${height}" dur="${0.9 + i * 0.2}s" repeatCount="indefinite"/>` +
+          `<animate attributeName="y" values="${y - height};${y - Math.round(size * 0.2)};${y - size};${y - height}" dur="${0.9 + i * 0.2}s" repeatCount="indefinite"/>`
+        : "";
+      return `<rect x="${barX}" y="${y - height}" width="${barWidth}" height="${height}" rx="1" fill="${colour}">${animation}</rect>`;
+    })
+    .join("");
+}
+
+/**
+ * Render a now playing badge
+ * @param {object} nowPlaying - Now playing response (see nowPlayingController)
+ * @param {object} [options] - Badge options
+ * @param {string} [options.theme] - Theme name (see BADGE_THEMES)
+ * @param {string} [options.size] - Size name (see BADGE_SIZES)
+ * @param {string} [options.cover] - Cover art as a data URI
+ * @returns {string} - SVG document
+ */
+export function renderBadge(nowPlaying, options = {}) {
+  const theme = BADGE_THEMES[options.theme] || BADGE_THEMES.light;
+  const size = BADGE_SIZES[options.size] || BADGE_SIZES.medium;
+  const { width, height, cover, font } = size;
+
+  const padding = Math.round((height - cover) / 2);
+  const textX = padding * 2 + cover;
+  const textWidth = width - textX - padding;
+  const small = Math.round(font * 0.8);
+
+  const status = nowPlaying.playing
+    ? "Now playing"
+    : nowPlaying.track
+      ? `Last played ${nowPlaying.relativeTime || ""}`.trim()
+      : "Nothing played yet";
+  const track = nowPlaying.track ? fitText(nowPlaying.track, textWidth, font) : "";
+  const artist = nowPlaying.artist
+    ? fitText(nowPlaying.artist, textWidth, font)
+    : "";
+  const label = [nowPlaying.track, nowPlaying.artist].filter(Boolean).join(" by ");
+
+  const coverElement = options.cover
+    ? `<clipPath id="cover"><rect x="${padding}" y="${padding}" width="${cover}" height="${cover}" rx="6"/></clipPath>` +
+      `<image href="${escapeXml(options.cover)}" x="${padding}" y="${padding}" width="${cover}" height="${cover}" clip-path="url(#cover)" preserveAspectRatio="xMidYMid slice"/>`
+    : `<rect x="${padding}" y="${padding}" width="${cover}" height="${cover}" rx="6" fill="${theme.border}"/>` +
+      `<text x="${padding + cover / 2}" y="${padding + cover / 2}" font-size="${Math.round(cover / 2.5)}" fill="${theme.secondary}" text-anchor="middle" dominant-baseline="central">♪</text>`;
+
+  const line = height / 4;
+  const indicatorSize = Math.round(small * 0.9);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(`${status}: ${label}`)}">`,
+    `<title>${escapeXml(label ? `${status}: ${label}` : status)}</title>`,
+    `<rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="10" fill="${theme.background}" stroke="${theme.border}"/>`,
+    coverElement,
+    `<g font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Helvetica, Arial, sans-serif">`,
+    playingIndicator(textX, Math.round(line * 1.2), indicatorSize, theme.accent, nowPlaying.playing),
+    `<text x="${textX + indicatorSize + 6}" y="${Math.round(line * 1.2)}" font-size="${small}" fill="${theme.accent}">${escapeXml(fitText(status, textWidth - indicatorSize - 6, small))}</text>`,
+    `<text x="${textX}" y="${Math.round(line * 2.3)}" font-size="${font}" font-weight="600" fill="${theme.text}">${escapeXml(track)}</text>`,
+    `<text x="${textX}" y="${Math.round(line * 3.25)}" font-size="${font}" fill="${theme.secondary}">${escapeXml(artist)}</text>`,
+    "</g>",
+    "</svg>",
+  ].join("\n");
+}
+
+/**
+ * Rasterize an SVG badge to PNG
+ * Uses the optional `@resvg/resvg-js` package.
+ * @param {string} svg - SVG document
+ * @returns {Promise<Buffer|null>} - PNG image, or null if resvg is not installed
+ */
+export async function renderPng(svg) {
+  let Resvg;
+  try {
+    ({ Resvg } = await import("@resvg/resvg-js"));
+  } catch {
+    return null;
+  }
+
+  // Fonts come from the system; animation is dropped in the still image
+  const resvg = new Resvg(svg, { font: { loadSystemFonts: true } });
+  return resvg.render().asPng();
+}
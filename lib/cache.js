@@ -0,0 +1,261 @@
+/**
+ * Default cache TTLs per Last.fm API method, in milliseconds
+ * Methods without an entry use the cache's default TTL
+ */
+export const DEFAULT_METHOD_TTLS = {
+  "user.getRecentTracks": 60_000, // Now playing changes quickly
+  "user.getLovedTracks": 900_000,
+  "user.getInfo": 3_600_000,
+  "user.getTopArtists": 21_600_000,
+  "user.getTopAlbums": 21_600_000,
+  "user.getTopTracks": 21_600_000,
+  "artist.getInfo": 86_400_000, // Artist pages rarely change
+};
+
+/**
+ * In-memory store that evicts the least recently used entry when full
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {object} [options] - Store options
+   * @param {number} [options.maxEntries] - Maximum number of entries
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 200;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Get an entry, marking it as recently used
+   * @param {string} key - Cache key
+   * @returns {object|undefined} - Cache entry
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      // Map keeps insertion order, so re-inserting moves it to the end
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones if full
+   * @param {string} key - Cache key
+   * @param {object} entry - Cache entry
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * MongoDB-backed store so cached responses survive restarts
+ * Expired documents are removed by a TTL index on `expiresAt`.
+ */
+export class MongoCacheStore {
+  /**
+   * @param {Function} getDb - Returns the MongoDB database (or undefined)
+   */
+  constructor(getDb) {
+    this.getDb = getDb;
+    this.indexed = false;
+  }
+
+  /**
+   * Get the cache collection, creating its TTL index on first use
+   * @returns {Promise<object|null>} - MongoDB collection or null
+   */
+  async collection() {
+    const db = this.getDb();
+    if (!db) return null;
+
+    const collection = db.collection("lastfmCache");
+    if (!this.indexed) {
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      this.indexed = true;
+    }
+    return collection;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<object|undefined>} - Cache entry
+   */
+  async get(key) {
+    const collection = await this.collection();
+    const doc = await collection?.findOne({ _id: key });
+    if (!doc) return undefined;
+
+    return {
+      data: JSON.parse(doc.data),
+      storedAt: doc.storedAt.getTime(),
+      expiresAt: doc.expiresAt.getTime(),
+    };
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {object} entry - Cache entry
+   * @returns {Promise<void>}
+   */
+  async set(key, entry) {
+    const collection = await this.collection();
+    await collection?.replaceOne(
+      { _id: key },
+      {
+        // Stored as a string: Last.fm keys like "#text" are awkward in BSON
+        data: JSON.stringify(entry.data),
+        storedAt: new Date(entry.storedAt),
+        expiresAt: new Date(entry.expiresAt),
+      },
+      { upsert: true },
+    );
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const collection = await this.collection();
+    await collection?.deleteMany({});
+  }
+}
+
+/**
+ * Response cache shared by every LastFmClient
+ * A bounded in-memory LRU in front of an optional persistent store.
+ */
+export class ResponseCache {
+  /**
+   * @param {object} [options] - Cache options
+   * @param {number} [options.maxEntries] - Maximum in-memory entries
+   * @param {number} [options.defaultTtl] - TTL for methods without their own
+   * @param {object} [options.ttls] - TTL overrides per API method
+   * @param {object} [options.store] - Persistent store (e.g. MongoCacheStore)
+   */
+  constructor(options = {}) {
+    this.hits = 0;
+    this.misses = 0;
+    this.configure(options);
+  }
+
+  /**
+   * Apply cache options, keeping counters
+   * @param {object} [options] - Cache options (see constructor)
+   */
+  configure(options = {}) {
+    this.memory = new MemoryCacheStore({ maxEntries: options.maxEntries });
+    this.defaultTtl = options.defaultTtl || 900_000;
+    this.ttls = { ...DEFAULT_METHOD_TTLS, ...options.ttls };
+    this.store = options.store || null;
+  }
+
+  /**
+   * Get the TTL for an API method
+   * @param {string} method - Last.fm API method
+   * @returns {number} - TTL in milliseconds
+   */
+  getTtl(method) {
+    return this.ttls[method] || this.defaultTtl;
+  }
+
+  /**
+   * Get a cached response
+   * @param {string} key - Cache key
+   * @param {number} [maxAge] - Reject entries older than this (milliseconds)
+   * @returns {Promise<object|undefined>} - Cached response data
+   */
+  async get(key, maxAge = Infinity) {
+    const now = Date.now();
+    const isFresh = (entry) =>
+      entry && now < entry.expiresAt && now - entry.storedAt < maxAge;
+
+    let entry = this.memory.get(key);
+    if (!isFresh(entry) && this.store) {
+      try {
+        entry = await this.store.get(key);
+        if (isFresh(entry)) this.memory.set(key, entry);
+      } catch (err) {
+        console.warn("[Last.fm] Cache store read failed:", err.message);
+      }
+    }
+
+    if (isFresh(entry)) {
+      this.hits++;
+      return entry.data;
+    }
+
+    this.misses++;
+    return undefined;
+  }
+
+  /**
+   * Cache a response
+   * @param {string} key - Cache key
+   * @param {string} method - Last.fm API method (selects the TTL)
+   * @param {object} data - Response data
+   * @returns {Promise<void>}
+   */
+  async set(key, method, data) {
+    const storedAt = Date.now();
+    const entry = { data, storedAt, expiresAt: storedAt + this.getTtl(method) };
+    this.memory.set(key, entry);
+
+    if (this.store) {
+      try {
+        await this.store.set(key, entry);
+      } catch (err) {
+        console.warn("[Last.fm] Cache store write failed:", err.message);
+      }
+    }
+  }
+
+  /**
+   * Remove every cached response
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.memory.clear();
+    await this.store?.clear();
+  }
+
+  /**
+   * Get hit/miss counters
+   * @returns {object} - Cache statistics
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups ? this.hits / lookups : 0,
+      evictions: this.memory.evictions,
+      size: this.memory.size,
+      maxEntries: this.memory.maxEntries,
+      persistent: Boolean(this.store),
+    };
+  }
+}
+
+export const responseCache = new ResponseCache();
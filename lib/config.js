@@ -1,12 +1,31 @@
+import { isValidTimezone } from "./dates.js";
+
+/**
+ * Account name that selects the combined view of all configured accounts
+ */
+export const EVERYONE = "everyone";
+
+/**
+ * Parse configured usernames into a list of accounts
+ * @param {string|Array} value - Username, comma-separated usernames, or array
+ * @returns {Array<string>} Usernames, primary account first
+ */
+export function parseUsernames(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  const usernames = list.map((name) => String(name).trim()).filter(Boolean);
+  return [...new Set(usernames)];
+}
+
 /**
  * Get effective config: DB-stored settings override env var defaults
  * @param {object} db - MongoDB database instance
  * @param {object} lastfmConfig - Plugin config from env vars
- * @returns {Promise<object>} Effective apiKey, username, and other config
+ * @returns {Promise<object>} Effective apiKey, username (primary account), usernames, timezone, and other config
  */
 export async function getEffectiveConfig(db, lastfmConfig) {
   let apiKey = lastfmConfig?.apiKey || "";
-  let username = lastfmConfig?.username || "";
+  let usernames = parseUsernames(lastfmConfig?.username);
+  let timezone = lastfmConfig?.timezone || "UTC";
 
   if (db) {
     try {
@@ -15,12 +34,35 @@ export async function getEffectiveConfig(db, lastfmConfig) {
         .findOne({ key: "settings" });
       if (settings) {
         if (settings.apiKey) apiKey = settings.apiKey;
-        if (settings.username) username = settings.username;
+        if (settings.username) usernames = parseUsernames(settings.username);
+        if (settings.timezone) timezone = settings.timezone;
       }
     } catch {
       // Fall through to defaults
     }
   }
 
-  return { apiKey, username };
+  if (!isValidTimezone(timezone)) {
+    console.warn(`[Last.fm] Unknown timezone "${timezone}", using UTC`);
+    timezone = "UTC";
+  }
+
+  return { apiKey, username: usernames[0] || "", usernames, timezone };
+}
+
+/**
+ * Resolve the account a request refers to
+ * @param {object} config - Effective config from getEffectiveConfig
+ * @param {string} [user] - Requested username (defaults to primary account)
+ * @returns {string|null} Configured username, EVERYONE, or null if unknown
+ */
+export function resolveAccount(config, user) {
+  if (!user) return config.username || null;
+  if (user.toLowerCase() === EVERYONE) return EVERYONE;
+
+  return (
+    config.usernames.find(
+      (username) => username.toLowerCase() === user.toLowerCase(),
+    ) || null
+  );
 }
@@ -1,6 +1,22 @@
 import { LastFmClient } from "../lastfm-client.js";
 import { getEffectiveConfig } from "../config.js";
-import { runSync, getCachedStats, refreshStatsCache } from "../sync.js";
+import {
+  runSync,
+  getCachedStats,
+  getSyncSchedule,
+  refreshStatsCache,
+} from "../sync.js";
+import { getRecentSyncRuns } from "../sync-history.js";
+import { responseCache } from "../cache.js";
+import { isValidTimezone } from "../dates.js";
+import { isRepairRunning, runRepair } from "../repair.js";
+import {
+  DEFAULT_DIGEST_TEMPLATE,
+  getDigestSettings,
+  renderDigest,
+  saveDigestSettings,
+} from "../digest.js";
+import { getMicropubConfig } from "../micropub.js";
 import * as utils from "../utils.js";
 
 /**
@@ -41,7 +57,9 @@ export const dashboardController = {
 
       const db = application.getLastfmDb?.();
       const config = await getEffectiveConfig(db, lastfmConfig);
-      const { apiKey, username } = config;
+      const { apiKey, username, usernames, timezone } = config;
+
+      const timezones = Intl.supportedValuesOf("timeZone");
 
       // Extract flash messages for native Indiekit notification banner
       const flash = consumeFlashMessage(request);
@@ -51,7 +69,8 @@ export const dashboardController = {
         return response.render("lastfm", {
           title: response.__("lastfm.title"),
           configError: response.__("lastfm.error.noConfig"),
-          settings: { apiKey: "", username: "" },
+          settings: { apiKey: "", username: "", timezone },
+          timezones,
           mountPath: request.baseUrl,
           ...flash,
         });
@@ -60,7 +79,6 @@ export const dashboardController = {
       const client = new LastFmClient({
         apiKey,
         username,
-        cacheTtl: lastfmConfig.cacheTtl,
       });
 
       // Fetch recent data from API
@@ -93,25 +111,37 @@ export const dashboardController = {
         return response.render("lastfm", {
           title: response.__("lastfm.title"),
           configError: response.__("lastfm.error.connection"),
-          settings: { apiKey, username },
+          settings: { apiKey, username: usernames.join(", "), timezone },
+          timezones,
           mountPath: request.baseUrl,
           ...flash,
         });
       }
 
       // Get stats from cache
-      let cachedStatsData = getCachedStats();
+      let cachedStatsData = getCachedStats(username);
       if (!cachedStatsData && db) {
         cachedStatsData = await refreshStatsCache(
           db,
+          username,
           lastfmConfig.limits || {},
           client,
+          { timezone, excludeSources: lastfmConfig.excludeSources },
         );
       }
       const summary = cachedStatsData?.summary?.all || null;
 
-      // Public page is the combined /listening page
-      const publicUrl = "/listening";
+      const syncRuns = db ? await getRecentSyncRuns(db, 5) : [];
+      const { nextRunAt } = getSyncSchedule();
+
+      // Public listening pages are served under the mount path
+      const publicUrl = `${request.baseUrl}/listening`;
+
+      const digest = await getDigestSettings(db, lastfmConfig);
+      const micropubAvailable = !!getMicropubConfig(
+        { config: { application } },
+        lastfmConfig,
+      );
 
       response.render("lastfm", {
         title: response.__("lastfm.title"),
@@ -123,9 +153,17 @@ export const dashboardController = {
         uniqueArtists: summary?.uniqueArtists || 0,
         hasStats: !!summary,
         userInfo,
+        syncRuns,
+        nextSyncAt: nextRunAt,
+        cacheStats: responseCache.getStats(),
         publicUrl,
         mountPath: request.baseUrl,
-        settings: { apiKey, username },
+        username,
+        usernames,
+        settings: { apiKey, username: usernames.join(", "), timezone },
+        timezones,
+        digest,
+        micropubAvailable,
         ...flash,
       });
     } catch (error) {
@@ -147,7 +185,17 @@ export const dashboardController = {
         return response.status(503).json({ error: "Database not available" });
       }
 
-      const { apiKey, username } = request.body;
+      const { apiKey, username, timezone } = request.body;
+
+      if (timezone && !isValidTimezone(timezone)) {
+        request.session.messages = [
+          {
+            type: "error",
+            content: request.__("lastfm.error.timezone", timezone),
+          },
+        ];
+        return response.redirect(request.baseUrl);
+      }
 
       await db.collection("lastfmMeta").updateOne(
         { key: "settings" },
@@ -156,6 +204,7 @@ export const dashboardController = {
             key: "settings",
             apiKey: apiKey || "",
             username: username || "",
+            timezone: timezone || "",
             updatedAt: new Date(),
           },
         },
@@ -176,6 +225,76 @@ export const dashboardController = {
     }
   },
 
+  /**
+   * Save digest post settings
+   * POST /digest
+   * @type {import("express").RequestHandler}
+   */
+  async saveDigest(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getLastfmDb?.();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const { weekly, monthly, postStatus } = request.body;
+      let template = (request.body.template || "").replaceAll("\r\n", "\n");
+
+      // Store an unchanged default as empty, so it follows plugin updates
+      if (template.trim() === DEFAULT_DIGEST_TEMPLATE.trim()) {
+        template = "";
+      }
+
+      // Catch template syntax errors now rather than at posting time
+      try {
+        renderDigest(template || DEFAULT_DIGEST_TEMPLATE, {
+          username: "example",
+          start: new Date(),
+          end: new Date(),
+          summary: {
+            totalPlays: 0,
+            lovedCount: 0,
+            uniqueTracks: 0,
+            uniqueArtists: 0,
+            uniqueAlbums: 0,
+          },
+          topArtists: [],
+          topAlbums: [],
+          topTracks: [],
+        });
+      } catch (error) {
+        request.session.messages = [
+          {
+            type: "error",
+            content: request.__("lastfm.error.digestTemplate", error.message),
+          },
+        ];
+        return response.redirect(request.baseUrl);
+      }
+
+      await saveDigestSettings(db, {
+        weekly: weekly === "on",
+        monthly: monthly === "on",
+        postStatus: postStatus === "published" ? "published" : "draft",
+        template,
+      });
+
+      console.log("[Last.fm] Digest settings saved");
+      request.session.messages = [
+        { type: "success", content: request.__("lastfm.digest.saved") },
+      ];
+      response.redirect(request.baseUrl);
+    } catch (error) {
+      console.error("[Last.fm] Digest settings save error:", error);
+      request.session.messages = [
+        { type: "error", content: error.message },
+      ];
+      response.redirect(request.baseUrl);
+    }
+  },
+
   /**
    * Trigger manual sync
    * @type {import("express").RequestHandler}
@@ -194,18 +313,36 @@ export const dashboardController = {
         return response.status(500).json({ error: "Database not available" });
       }
 
-      // Use effective config (DB settings override env vars)
-      const config = await getEffectiveConfig(db, lastfmConfig);
-      const syncOptions = { ...lastfmConfig, ...config };
+      // Report skips now; runSync itself only logs them
+      const { apiKey, usernames } = await getEffectiveConfig(db, lastfmConfig);
+      if (!apiKey || usernames.length === 0) {
+        request.session.messages = [
+          { type: "error", content: request.__("lastfm.error.noConfig") },
+        ];
+        return response.redirect(request.baseUrl);
+      }
+      if (getSyncSchedule().running) {
+        request.session.messages = [
+          { type: "error", content: request.__("lastfm.syncRunning") },
+        ];
+        return response.redirect(request.baseUrl);
+      }
 
-      // Build a minimal Indiekit-like object for runSync
-      const result = await runSync({ database: db }, syncOptions);
+      // A backfill can take hours, so run in the background; the outcome
+      // is recorded in the sync history
+      // (runSync resolves DB settings and accounts itself)
+      runSync({ database: db, config: { application } }, lastfmConfig, "manual")
+        .then((result) => {
+          if (result.error) {
+            console.warn("[Last.fm] Manual sync skipped:", result.error);
+          }
+        })
+        .catch((err) => {
+          console.error("[Last.fm] Manual sync error:", err.message);
+        });
 
       request.session.messages = [
-        {
-          type: "success",
-          content: `Synced ${result.synced || 0} new scrobbles`,
-        },
+        { type: "success", content: request.__("lastfm.syncStarted") },
       ];
       response.redirect(request.baseUrl);
     } catch (error) {
@@ -216,4 +353,62 @@ export const dashboardController = {
       response.redirect(request.baseUrl);
     }
   },
+
+  /**
+   * Trigger manual reconcile and gap repair
+   * @type {import("express").RequestHandler}
+   */
+  async repair(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      // Report skips now; runRepair itself only returns them
+      const { apiKey, usernames } = await getEffectiveConfig(db, lastfmConfig);
+      if (!apiKey || usernames.length === 0) {
+        request.session.messages = [
+          { type: "error", content: request.__("lastfm.error.noConfig") },
+        ];
+        return response.redirect(request.baseUrl);
+      }
+      if (isRepairRunning()) {
+        request.session.messages = [
+          { type: "error", content: request.__("lastfm.repairRunning") },
+        ];
+        return response.redirect(request.baseUrl);
+      }
+
+      // Checking every account takes minutes of rate-limited requests, so
+      // run in the background; the outcome is recorded in the sync history
+      runRepair({ database: db, config: { application } }, lastfmConfig)
+        .then((report) => {
+          if (report.error) {
+            console.warn("[Last.fm] Manual repair skipped:", report.error);
+          }
+        })
+        .catch((err) => {
+          console.error("[Last.fm] Manual repair error:", err.message);
+        });
+
+      request.session.messages = [
+        { type: "success", content: request.__("lastfm.repairStarted") },
+      ];
+      response.redirect(request.baseUrl);
+    } catch (error) {
+      console.error("[Last.fm] Manual repair error:", error);
+      request.session.messages = [
+        { type: "error", content: error.message },
+      ];
+      response.redirect(request.baseUrl);
+    }
+  },
 };
@@ -0,0 +1,74 @@
+import { pipeline } from "node:stream/promises";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import { parseDateFilter } from "../dates.js";
+import {
+  EXPORT_FORMATS,
+  createExportStream,
+  findExportScrobbles,
+} from "../export.js";
+
+/**
+ * Export controller
+ */
+export const exportController = {
+  /**
+   * Stream scrobble history as a download
+   * GET /export?format=csv|json|ndjson&from=&to=&artist=&loved=&user=
+   * @type {import("express").RequestHandler}
+   */
+  async get(request, response) {
+    const { application } = request.app.locals;
+    const { lastfmConfig } = application;
+
+    if (!lastfmConfig) {
+      return response.status(500).json({ error: "Not configured" });
+    }
+
+    const db = application.getLastfmDb?.();
+    if (!db) {
+      return response.status(503).json({ error: "Database not available" });
+    }
+
+    const format = request.query.format || "csv";
+    if (!EXPORT_FORMATS[format]) {
+      return response.status(400).json({ error: "Unknown format" });
+    }
+
+    const config = await getEffectiveConfig(db, lastfmConfig);
+    const account = resolveAccount(config, request.query.user || EVERYONE);
+    if (!account) {
+      return response.status(404).json({ error: "Unknown account" });
+    }
+
+    const from = parseDateFilter(request.query.from);
+    const to = parseDateFilter(request.query.to, true);
+    if (from === null || to === null) {
+      return response.status(400).json({ error: "Invalid date" });
+    }
+
+    const { loved } = request.query;
+    const cursor = findExportScrobbles(db, {
+      username: account === EVERYONE ? undefined : account,
+      from,
+      to,
+      artist: request.query.artist,
+      loved: loved === "true" ? true : loved === "false" ? false : undefined,
+    });
+
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    response.set("Content-Type", contentType);
+    response.attachment(`scrobbles-${date}.${extension}`);
+
+    try {
+      // pipeline applies backpressure, so only a batch is held in memory
+      await pipeline(cursor.stream(), createExportStream(format), response);
+    } catch (error) {
+      console.error("[Last.fm] Export error:", error.message);
+      await cursor.close().catch(() => {});
+      if (!response.headersSent) {
+        response.status(500).json({ error: error.message });
+      }
+    }
+  },
+};
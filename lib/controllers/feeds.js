@@ -0,0 +1,141 @@
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import {
+  FEED_FORMATS,
+  feedEtag,
+  feedUpdated,
+  lovedItem,
+  scrobbleItem,
+  toAtom,
+  toJsonFeed,
+  toRss,
+} from "../feed.js";
+import { getFeedUrl } from "../websub.js";
+
+const FEED_LENGTH = 50;
+
+/**
+ * What each feed lists and how
+ */
+const FEEDS = {
+  scrobbles: {
+    title: "Scrobbles",
+    page: "/listening",
+    collection: "scrobbles",
+    filter: { deletedAt: null },
+    sort: { scrobbledAt: -1 },
+    toItem: scrobbleItem,
+  },
+  loved: {
+    title: "Loved tracks",
+    page: "/listening/loved",
+    collection: "lovedTracks",
+    filter: { unlovedAt: null },
+    sort: { lovedAt: -1 },
+    toItem: lovedItem,
+  },
+};
+
+/**
+ * Create a handler for a feed
+ * GET /feed/:name?format=atom|rss|json&user=
+ * @param {string} name - 'scrobbles' or 'loved'
+ * @returns {import("express").RequestHandler} - Feed handler
+ */
+function feedHandler(name) {
+  const definition = FEEDS[name];
+
+  return async (request, response) => {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const format = request.query.format || "atom";
+      if (!FEED_FORMATS[format]) {
+        return response.status(400).json({ error: "Unknown format" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.query.user);
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
+      const base = application.url || `${request.protocol}://${request.get("host")}`;
+      const user = request.query.user ? account : undefined;
+      const feedUrl = getFeedUrl(base, request.baseUrl, name, { format, user });
+      // Item IDs must not change with the format
+      const idBase = getFeedUrl(base, request.baseUrl, name, { user });
+
+      const filter = { ...definition.filter };
+      if (account !== EVERYONE) filter.username = account;
+      const docs = await db
+        .collection(definition.collection)
+        .find(filter)
+        .sort(definition.sort)
+        .limit(FEED_LENGTH)
+        .toArray();
+
+      const items = docs.map((doc) => definition.toItem(doc, idBase));
+      const homeUrl = new URL(`${request.baseUrl}${definition.page}`, base);
+      if (user) homeUrl.searchParams.set("user", user);
+
+      const feed = {
+        title: `${definition.title} (${account})`,
+        homeUrl: homeUrl.href,
+        feedUrl,
+        hub: lastfmConfig.websub?.hub || null,
+        updated: feedUpdated(items),
+        items,
+      };
+
+      // Conditional GET: request.fresh compares these with the request
+      response.set("ETag", feedEtag(format, feed));
+      response.set("Last-Modified", feed.updated.toUTCString());
+      response.set("Cache-Control", "public, max-age=300");
+      if (feed.hub) {
+        response.append("Link", [
+          `<${feed.hub}>; rel="hub"`,
+          `<${feedUrl}>; rel="self"`,
+        ]);
+      }
+      if (request.fresh) {
+        return response.status(304).end();
+      }
+
+      response.type(FEED_FORMATS[format]);
+      if (format === "json") {
+        response.send(JSON.stringify(toJsonFeed(feed), null, 2));
+      } else {
+        response.send(format === "rss" ? toRss(feed) : toAtom(feed));
+      }
+    } catch (error) {
+      console.error("[Last.fm] Feed error:", error);
+      const status = error.status || 500;
+      if (status === 503) {
+        response.set("Retry-After", "60");
+      }
+      response.status(status).json({
+        error: error.message,
+        code: error.code || "unknown",
+        retryable: status === 503 || status === 502,
+      });
+    }
+  };
+}
+
+/**
+ * Feeds controller
+ */
+export const feedsController = {
+  scrobbles: feedHandler("scrobbles"),
+  loved: feedHandler("loved"),
+};
@@ -0,0 +1,142 @@
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import { isImportRunning, runImport } from "../import.js";
+import { parseLastfmCsv } from "../importers/csv.js";
+import { parseListenBrainz } from "../importers/listenbrainz.js";
+import { parseSpotifyHistory } from "../importers/spotify.js";
+
+/**
+ * Apply a single-file parser to every uploaded file
+ * @param {Function} parse - Parser for one file's text
+ * @returns {Function} - Parser for a list of file texts
+ */
+function eachFile(parse) {
+  return (texts) => {
+    const result = { scrobbles: [], ignored: 0, invalid: 0 };
+    for (const text of texts) {
+      const { scrobbles, invalid } = parse(text);
+      result.scrobbles.push(...scrobbles);
+      result.invalid += invalid;
+    }
+    return result;
+  };
+}
+
+/**
+ * Supported export formats, selected by the form's "format" field
+ * Each parser receives the text of every uploaded file and the plugin options.
+ */
+const IMPORTERS = {
+  "lastfm-csv": { parse: eachFile(parseLastfmCsv), source: "lastfm" },
+  listenbrainz: {
+    parse: eachFile(parseListenBrainz),
+    source: "listenbrainz",
+    // ListenBrainz and Last.fm timestamps for the same play can differ
+    tolerance: 60_000,
+  },
+  spotify: {
+    parse: (texts, options) =>
+      parseSpotifyHistory(texts, { minMsPlayed: options.spotifyMinMsPlayed }),
+    source: "spotify",
+    // Spotify plays may also have been scrobbled to Last.fm
+    tolerance: 60_000,
+  },
+};
+
+// Uploads are buffered in memory, so cap the whole request, not just each file
+export const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Import controller
+ */
+export const importController = {
+  /**
+   * Reject uploads over the total size limit before they are buffered
+   * @type {import("express").RequestHandler}
+   */
+  limitSize(request, response, next) {
+    const length = Number(request.headers["content-length"]);
+    if (length > 0 && length <= MAX_UPLOAD_SIZE) {
+      return next();
+    }
+
+    request.session.messages = [
+      {
+        type: "error",
+        content: request.__(
+          "lastfm.import.tooLarge",
+          MAX_UPLOAD_SIZE / 1024 / 1024,
+        ),
+      },
+    ];
+    response.redirect(request.baseUrl);
+  },
+
+  /**
+   * Import scrobbles from an uploaded history export
+   * POST /import (multipart: one or more "file", optional "format" and "username")
+   * @type {import("express").RequestHandler}
+   */
+  async post(request, response) {
+    const flash = (type, content) => {
+      request.session.messages = [{ type, content }];
+      response.redirect(request.baseUrl);
+    };
+
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(500).json({ error: "Database not available" });
+      }
+
+      if (!request.files?.length) {
+        return flash("error", request.__("lastfm.import.noFile"));
+      }
+
+      const importer = IMPORTERS[request.body.format || "lastfm-csv"];
+      if (!importer) {
+        return flash("error", request.__("lastfm.import.unknownFormat"));
+      }
+
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.body.username);
+      if (!account || account === EVERYONE) {
+        return flash("error", request.__("lastfm.import.unknownAccount"));
+      }
+
+      if (isImportRunning()) {
+        return flash("error", request.__("lastfm.import.running"));
+      }
+
+      // Large exports take minutes to import, so run in the background;
+      // the outcome is recorded in the sync history
+      const texts = request.files.map((file) => file.buffer.toString("utf8"));
+      const fileCount = texts.length;
+      runImport(db, account, () => importer.parse(texts, lastfmConfig), {
+        source: importer.source,
+        tolerance: importer.tolerance,
+      })
+        .then(({ imported, skipped, ignored, invalid }) => {
+          console.log(
+            `[Last.fm] Import of ${fileCount} file(s) for ${account}: ` +
+              `${imported} imported, ${skipped} skipped, ` +
+              `${ignored} ignored, ${invalid} invalid`,
+          );
+        })
+        .catch((err) => {
+          console.error("[Last.fm] Import error:", err.message);
+        });
+
+      flash("success", request.__("lastfm.import.started"));
+    } catch (error) {
+      console.error("[Last.fm] Import error:", error);
+      flash("error", error.message);
+    }
+  },
+};
@@ -0,0 +1,150 @@
+import { LastFmClient } from "../lastfm-client.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import { getAlbumStats, getArtistStats, getTrackStats } from "../stats.js";
+import * as utils from "../utils.js";
+
+/**
+ * Get an artist's image and Last.fm page
+ * @param {LastFmClient} client - Last.fm API client
+ * @param {string} name - Artist name
+ * @returns {Promise<object>} - URL, MBID and image URL (null if unavailable)
+ */
+async function getArtistProfile(client, name) {
+  try {
+    const info = await client.getArtistInfo(name);
+    const { url, mbid, imageUrl } = utils.formatTopArtist(info.artist);
+    return { url, mbid, imageUrl };
+  } catch (err) {
+    console.warn("[Last.fm] Artist info failed:", err.message);
+    return { url: null, mbid: null, imageUrl: null };
+  }
+}
+
+/**
+ * Create a handler for a detail route
+ * Resolves the account and stats scope, and answers 404 when nothing was
+ * ever played.
+ * @param {string} label - Name used in errors, e.g. 'artist'
+ * @param {Function} getDetail - Returns the response body, or null if unknown
+ * @returns {import("express").RequestHandler} - Route handler
+ */
+function detailHandler(label, getDetail) {
+  return async (request, response) => {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
+      const scope = {
+        timezone: config.timezone,
+        excludeSources: lastfmConfig.excludeSources,
+      };
+      if (account !== EVERYONE) scope.username = account;
+
+      const detail = await getDetail(request, { db, config, account, scope });
+      if (!detail) {
+        return response.status(404).json({ error: `Unknown ${label}` });
+      }
+
+      response.json(detail);
+    } catch (error) {
+      console.error(`[Last.fm] ${label} API error:`, error);
+      const status = error.status || 500;
+      if (status === 503) {
+        response.set("Retry-After", "60");
+      }
+      response.status(status).json({
+        error: error.message,
+        code: error.code || "unknown",
+        retryable: status === 503 || status === 502,
+      });
+    }
+  };
+}
+
+/**
+ * Get an artist's stats with its Last.fm profile
+ * Also used by the public artist page.
+ * @param {object} db - MongoDB database instance
+ * @param {object} config - Effective config
+ * @param {string} account - Username or EVERYONE
+ * @param {string} name - Artist name
+ * @param {object} scope - Stats scope
+ * @param {number} [limit] - Number of top tracks and albums
+ * @returns {Promise<object|null>} - Artist detail, or null if never played
+ */
+export async function getArtistDetail(db, config, account, name, scope, limit) {
+  const stats = await getArtistStats(db, name, scope, limit);
+  if (!stats) return null;
+
+  const client = new LastFmClient({
+    apiKey: config.apiKey,
+    username: account === EVERYONE ? config.username : account,
+  });
+  const profile = await getArtistProfile(client, stats.name);
+
+  return {
+    ...stats,
+    mbid: stats.mbid || profile.mbid,
+    url: profile.url,
+    imageUrl: profile.imageUrl,
+  };
+}
+
+/**
+ * Library controller: artist, album and track details from synced scrobbles
+ */
+export const libraryController = {
+  /**
+   * Listening history of one artist
+   * GET /api/artists/:name?limit=
+   * @type {import("express").RequestHandler}
+   */
+  artist: detailHandler("artist", (request, { db, config, account, scope }) => {
+    const limit = Math.min(parseInt(request.query.limit) || 10, 50);
+    return getArtistDetail(
+      db,
+      config,
+      account,
+      request.params.name,
+      scope,
+      limit,
+    );
+  }),
+
+  /**
+   * Listening history of one album
+   * GET /api/albums/:artist/:album?limit=
+   * @type {import("express").RequestHandler}
+   */
+  album: detailHandler("album", (request, { db, scope }) => {
+    const limit = Math.min(parseInt(request.query.limit) || 100, 1000);
+    const { artist, album } = request.params;
+    return getAlbumStats(db, artist, album, scope, limit);
+  }),
+
+  /**
+   * Listening history of one track
+   * GET /api/tracks/:artist/:track?limit=
+   * @type {import("express").RequestHandler}
+   */
+  track: detailHandler("track", (request, { db, scope }) => {
+    const limit = Math.min(parseInt(request.query.limit) || 100, 1000);
+    const { artist, track } = request.params;
+    return getTrackStats(db, artist, track, scope, limit);
+  }),
+};
@@ -0,0 +1,305 @@
+import { LastFmClient } from "../lastfm-client.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import { getAlbumStats, getAllStats, getTrackStats } from "../stats.js";
+import { getCachedStats } from "../sync.js";
+import { getPublicViews } from "../public-views.js";
+import { getArtistDetail } from "./library.js";
+import * as utils from "../utils.js";
+
+const TOP_PERIODS = ["all", "month", "week"];
+
+/**
+ * Resolve the account and page shared by every public page
+ * @param {import("express").Request} request - Request
+ * @returns {Promise<object|null>} - Page context, or null for unknown accounts
+ */
+async function getPageContext(request) {
+  const { application } = request.app.locals;
+  const { lastfmConfig } = application;
+  if (!lastfmConfig) return null;
+
+  const db = application.getLastfmDb?.();
+  const config = await getEffectiveConfig(db, lastfmConfig);
+  const account = resolveAccount(config, request.query.user);
+  if (!account) return null;
+
+  const page = Math.max(parseInt(request.query.page) || 1, 1);
+
+  return { lastfmConfig, db, config, account, page };
+}
+
+/**
+ * Build the URL of another page of the same listing
+ * @param {import("express").Request} request - Request
+ * @param {number} page - Page number
+ * @returns {string} - Page URL
+ */
+function pageUrl(request, page) {
+  const query = new URLSearchParams();
+  if (request.query.user) query.set("user", request.query.user);
+  if (page > 1) query.set("page", page);
+
+  const search = query.toString();
+  return request.baseUrl + request.path + (search ? `?${search}` : "");
+}
+
+/**
+ * Render a public page
+ * @param {import("express").Request} request - Request
+ * @param {import("express").Response} response - Response
+ * @param {string} template - Template name, relative to the views directory
+ * @param {object} data - Template data
+ */
+function render(request, response, template, data) {
+  const { lastfmConfig } = request.app.locals.application;
+  const views = getPublicViews(lastfmConfig.publicViews);
+  const { page, hasNext, hasPrev } = data;
+
+  const html = views.render(template, {
+    ...data,
+    mountPath: request.baseUrl,
+    user: request.query.user || "",
+    userQuery: request.query.user
+      ? `?user=${encodeURIComponent(request.query.user)}`
+      : "",
+    prevUrl: hasPrev ? pageUrl(request, page - 1) : null,
+    nextUrl: hasNext ? pageUrl(request, page + 1) : null,
+  });
+
+  response.type("html").send(html);
+}
+
+/**
+ * Get the stats scope of a public page
+ * @param {object} context - Page context
+ * @returns {object} - Stats scope
+ */
+function getScope({ lastfmConfig, config, account }) {
+  const scope = {
+    timezone: config.timezone,
+    excludeSources: lastfmConfig.excludeSources,
+  };
+  if (account !== EVERYONE) scope.username = account;
+  return scope;
+}
+
+/**
+ * Create a handler for an artist, album or track page
+ * @param {string} template - Template name
+ * @param {Function} getDetail - Returns the page data, or null if unknown
+ * @returns {import("express").RequestHandler} - Page handler
+ */
+function detailPage(template, getDetail) {
+  return async (request, response, next) => {
+    try {
+      const context = await getPageContext(request);
+      if (!context?.db) return next();
+
+      const detail = await getDetail(request, context, getScope(context));
+      if (!detail) return next();
+
+      render(request, response, template, {
+        title: detail.track || detail.album || detail.name,
+        account: context.account,
+        everyone: context.account === EVERYONE,
+        detail,
+      });
+    } catch (error) {
+      console.error("[Last.fm] Detail page error:", error);
+      next(error);
+    }
+  };
+}
+
+/**
+ * Public listening pages controller
+ * Each page takes `?user=` to show another account (or "everyone").
+ */
+export const listeningController = {
+  /**
+   * Recent scrobbles as an h-feed of listen entries
+   * GET /listening?page=
+   * @type {import("express").RequestHandler}
+   */
+  async scrobbles(request, response, next) {
+    try {
+      const context = await getPageContext(request);
+      if (!context) return next();
+      const { lastfmConfig, db, config, account, page } = context;
+
+      const limit = lastfmConfig.limits?.scrobbles || 20;
+      let scrobbles = [];
+      let hasNext = false;
+
+      if (db) {
+        const filter = { deletedAt: null };
+        if (account !== EVERYONE) filter.username = account;
+        const docs = await db
+          .collection("scrobbles")
+          .find(filter)
+          .sort({ scrobbledAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit + 1)
+          .toArray();
+        hasNext = docs.length > limit;
+        scrobbles = docs
+          .slice(0, limit)
+          .map((doc) => utils.formatScrobble(doc, true));
+      } else if (account !== EVERYONE) {
+        const client = new LastFmClient({
+          apiKey: config.apiKey,
+          username: account,
+        });
+        const scrobblesRes = await client.getRecentTracks(page, limit);
+        const tracks = scrobblesRes.recenttracks?.track || [];
+        const attrs = scrobblesRes.recenttracks?.["@attr"] || {};
+        scrobbles = tracks.map((s) => utils.formatScrobble(s));
+        hasNext = page < (parseInt(attrs.totalPages) || 1);
+      }
+
+      render(request, response, "listening/scrobbles.njk", {
+        title: "Listening",
+        account,
+        everyone: account === EVERYONE,
+        scrobbles,
+        page,
+        hasNext,
+        hasPrev: page > 1,
+      });
+    } catch (error) {
+      console.error("[Last.fm] Listening page error:", error);
+      next(error);
+    }
+  },
+
+  /**
+   * Loved tracks as an h-feed of like entries
+   * GET /listening/loved?page=
+   * @type {import("express").RequestHandler}
+   */
+  async loved(request, response, next) {
+    try {
+      const context = await getPageContext(request);
+      if (!context) return next();
+      const { lastfmConfig, db, config, account, page } = context;
+
+      const limit = lastfmConfig.limits?.loved || 20;
+      let lovedTracks = [];
+      let hasNext = false;
+
+      if (db) {
+        const filter = { unlovedAt: null };
+        if (account !== EVERYONE) filter.username = account;
+        const docs = await db
+          .collection("lovedTracks")
+          .find(filter)
+          .sort({ lovedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit + 1)
+          .toArray();
+        hasNext = docs.length > limit;
+        lovedTracks = docs
+          .slice(0, limit)
+          .map((doc) => utils.formatLovedTrack(doc, true));
+      }
+
+      // Nothing synced yet, use the live API
+      if (lovedTracks.length === 0 && page === 1 && account !== EVERYONE) {
+        const client = new LastFmClient({
+          apiKey: config.apiKey,
+          username: account,
+        });
+        const lovedRes = await client.getLovedTracks(page, limit);
+        const attrs = lovedRes.lovedtracks?.["@attr"] || {};
+        lovedTracks = (lovedRes.lovedtracks?.track || []).map((track) =>
+          utils.formatLovedTrack(track),
+        );
+        hasNext = !db && page < (parseInt(attrs.totalPages) || 1);
+      }
+
+      render(request, response, "listening/loved.njk", {
+        title: "Loved tracks",
+        account,
+        everyone: account === EVERYONE,
+        lovedTracks,
+        page,
+        hasNext,
+        hasPrev: page > 1,
+      });
+    } catch (error) {
+      console.error("[Last.fm] Loved page error:", error);
+      next(error);
+    }
+  },
+
+  /**
+   * Listening statistics
+   * GET /listening/stats?period=all|month|week
+   * @type {import("express").RequestHandler}
+   */
+  async stats(request, response, next) {
+    try {
+      const context = await getPageContext(request);
+      if (!context) return next();
+      const { lastfmConfig, db, config, account } = context;
+
+      const period = TOP_PERIODS.includes(request.query.period)
+        ? request.query.period
+        : "all";
+
+      let stats = getCachedStats(account);
+      if (!stats && db) {
+        const client =
+          account === EVERYONE
+            ? null
+            : new LastFmClient({ apiKey: config.apiKey, username: account });
+        stats = await getAllStats(
+          db,
+          lastfmConfig.limits,
+          client,
+          getScope(context),
+        );
+      }
+
+      render(request, response, "listening/stats.njk", {
+        title: "Listening statistics",
+        account,
+        everyone: account === EVERYONE,
+        stats,
+        period,
+        periods: TOP_PERIODS,
+      });
+    } catch (error) {
+      console.error("[Last.fm] Stats page error:", error);
+      next(error);
+    }
+  },
+
+  /**
+   * Artist page
+   * GET /listening/artists/:name
+   * @type {import("express").RequestHandler}
+   */
+  artist: detailPage("listening/artist.njk", (request, context, scope) => {
+    const { db, config, account } = context;
+    return getArtistDetail(db, config, account, request.params.name, scope);
+  }),
+
+  /**
+   * Album page
+   * GET /listening/albums/:artist/:album
+   * @type {import("express").RequestHandler}
+   */
+  album: detailPage("listening/album.njk", (request, { db }, scope) =>
+    getAlbumStats(db, request.params.artist, request.params.album, scope),
+  ),
+
+  /**
+   * Track page
+   * GET /listening/tracks/:artist/:track
+   * @type {import("express").RequestHandler}
+   */
+  track: detailPage("listening/track.njk", (request, { db }, scope) =>
+    getTrackStats(db, request.params.artist, request.params.track, scope),
+  ),
+};
@@ -1,7 +1,41 @@
 import { LastFmClient } from "../lastfm-client.js";
-import { getEffectiveConfig } from "../config.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
 import * as utils from "../utils.js";
 
+/**
+ * Get a page of loved tracks from MongoDB
+ * @param {object} db - MongoDB database instance
+ * @param {string} account - Username or EVERYONE
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<object|null>} - API response or null if nothing is synced
+ */
+async function getLovedFromDb(db, account, page, limit) {
+  const collection = db.collection("lovedTracks");
+  const filter = { unlovedAt: null };
+  if (account !== EVERYONE) filter.username = account;
+
+  const [docs, total] = await Promise.all([
+    collection
+      .find(filter)
+      .sort({ lovedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  if (total === 0) return null;
+
+  return {
+    loved: docs.map((doc) => utils.formatLovedTrack(doc, true)),
+    total,
+    page,
+    hasNext: page * limit < total,
+    hasPrev: page > 1,
+  };
+}
+
 /**
  * Loved tracks controller
  */
@@ -20,18 +54,38 @@ export const lovedController = {
       }
 
       const db = application.getLastfmDb?.();
-      const { apiKey, username } = await getEffectiveConfig(db, lastfmConfig);
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
       const limits = lastfmConfig.limits || {};
       const page = parseInt(request.query.page) || 1;
       const limit = Math.min(
         parseInt(request.query.limit) || limits.loved || 20,
-        200
+        200,
       );
 
+      // Serve from the synced collection so this works when Last.fm is down
+      if (db) {
+        const result = await getLovedFromDb(db, account, page, limit);
+        if (result || account === EVERYONE) {
+          return response.json(
+            result || { loved: [], total: 0, page, hasNext: false, hasPrev: false },
+          );
+        }
+      }
+
+      if (account === EVERYONE) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      // Nothing synced yet, proxy the live API
       const client = new LastFmClient({
-        apiKey,
-        username,
-        cacheTtl: lastfmConfig.cacheTtl,
+        apiKey: config.apiKey,
+        username: account,
       });
 
       const lovedRes = await client.getLovedTracks(page, limit);
@@ -1,7 +1,147 @@
 import { LastFmClient } from "../lastfm-client.js";
-import { getEffectiveConfig } from "../config.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import { responseCache } from "../cache.js";
+import {
+  BADGE_SIZES,
+  BADGE_THEMES,
+  fetchCoverDataUri,
+  renderBadge,
+  renderPng,
+} from "../badge.js";
 import * as utils from "../utils.js";
 
+/**
+ * Get now playing / recently played status for an account
+ * @param {LastFmClient} client - Last.fm API client
+ * @returns {Promise<object>} - Now playing response
+ */
+async function getNowPlaying(client) {
+  const track = await client.getLatestScrobble();
+
+  if (!track) {
+    return {
+      username: client.username,
+      playing: false,
+      status: null,
+      message: "No recent plays",
+    };
+  }
+
+  const formatted = utils.formatScrobble(track);
+
+  return {
+    username: client.username,
+    playing: formatted.status === "now-playing",
+    status: formatted.status,
+    track: formatted.track,
+    artist: formatted.artist,
+    album: formatted.album,
+    coverUrl: formatted.coverUrl,
+    trackUrl: formatted.trackUrl,
+    loved: formatted.loved,
+    scrobbledAt: formatted.scrobbledAt,
+    relativeTime: formatted.relativeTime,
+  };
+}
+
+/**
+ * Pick the account to show on a combined badge
+ * A playing account wins; otherwise the most recent play.
+ * @param {Array} results - Now playing responses
+ * @returns {object} - Now playing response
+ */
+function pickNowPlaying(results) {
+  return (
+    results.find((result) => result.playing) ||
+    results
+      .filter((result) => result.scrobbledAt)
+      .sort((a, b) => b.scrobbledAt.localeCompare(a.scrobbledAt))[0] ||
+    results[0]
+  );
+}
+
+/**
+ * Create a handler for the now playing badge
+ * GET /api/now-playing.svg?theme=light|dark|lastfm&size=small|medium|large
+ * @param {string} format - 'svg' or 'png'
+ * @returns {import("express").RequestHandler} - Badge handler
+ */
+function badgeHandler(format) {
+  return async (request, response) => {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const { theme = "light", size = "medium" } = request.query;
+      if (!BADGE_THEMES[theme]) {
+        return response.status(400).json({ error: "Unknown theme" });
+      }
+      if (!BADGE_SIZES[size]) {
+        return response.status(400).json({ error: "Unknown size" });
+      }
+
+      const db = application.getLastfmDb?.();
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
+      const usernames = account === EVERYONE ? config.usernames : [account];
+      const results = await Promise.all(
+        usernames.map((username) =>
+          getNowPlaying(
+            new LastFmClient({ apiKey: config.apiKey, username }),
+          ),
+        ),
+      );
+      const nowPlaying = pickNowPlaying(results);
+
+      const svg = renderBadge(nowPlaying, {
+        theme,
+        size,
+        cover: await fetchCoverDataUri(nowPlaying.coverUrl),
+      });
+
+      // Badges are refreshed no more often than the track data behind them
+      const maxAge = Math.round(
+        responseCache.getTtl("user.getRecentTracks") / 1000,
+      );
+      response.set("Cache-Control", `public, max-age=${maxAge}`);
+
+      if (format === "png") {
+        const png = await renderPng(svg);
+        if (!png) {
+          return response.status(501).json({
+            error: "PNG badges need the optional @resvg/resvg-js package",
+            code: "png_unavailable",
+            retryable: false,
+          });
+        }
+        return response.type("image/png").send(png);
+      }
+
+      response.type("image/svg+xml").send(svg);
+    } catch (error) {
+      console.error("[Last.fm] Now Playing badge error:", error);
+      const status = error.status || 500;
+      if (status === 503) {
+        response.set("Retry-After", "60");
+      }
+      response.status(status).json({
+        error: error.message,
+        code: error.code || "unknown",
+        retryable: status === 503 || status === 502,
+      });
+    }
+  };
+}
+
 /**
  * Now Playing controller
  */
@@ -20,38 +160,27 @@ export const nowPlayingController = {
       }
 
       const db = application.getLastfmDb?.();
-      const { apiKey, username } = await getEffectiveConfig(db, lastfmConfig);
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
 
-      const client = new LastFmClient({
-        apiKey,
-        username,
-        cacheTtl: Math.min(lastfmConfig.cacheTtl, 60_000),
-      });
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
 
-      const track = await client.getLatestScrobble();
+      const usernames = account === EVERYONE ? config.usernames : [account];
+      const results = await Promise.all(
+        usernames.map((username) =>
+          getNowPlaying(
+            new LastFmClient({ apiKey: config.apiKey, username }),
+          ),
+        ),
+      );
 
-      if (!track) {
-        return response.json({
-          playing: false,
-          status: null,
-          message: "No recent plays",
-        });
+      if (account === EVERYONE) {
+        return response.json({ accounts: results });
       }
 
-      const formatted = utils.formatScrobble(track);
-
-      response.json({
-        playing: formatted.status === "now-playing",
-        status: formatted.status,
-        track: formatted.track,
-        artist: formatted.artist,
-        album: formatted.album,
-        coverUrl: formatted.coverUrl,
-        trackUrl: formatted.trackUrl,
-        loved: formatted.loved,
-        scrobbledAt: formatted.scrobbledAt,
-        relativeTime: formatted.relativeTime,
-      });
+      response.json(results[0]);
     } catch (error) {
       console.error("[Last.fm] Now Playing API error:", error);
       const status = error.status || 500;
@@ -65,4 +194,16 @@ export const nowPlayingController = {
       });
     }
   },
+
+  /**
+   * Now playing badge as an SVG image
+   * @type {import("express").RequestHandler}
+   */
+  svg: badgeHandler("svg"),
+
+  /**
+   * Now playing badge as a PNG image
+   * @type {import("express").RequestHandler}
+   */
+  png: badgeHandler("png"),
 };
@@ -0,0 +1,265 @@
+import { LastFmClient } from "../lastfm-client.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import {
+  getTopTracksFromApi,
+  getTopTracksFromDb,
+  hasImportedScrobbles,
+} from "../stats.js";
+import { parseDateFilter } from "../dates.js";
+import {
+  PLAYLIST_FORMATS,
+  toJspf,
+  toPlaylistTrack,
+  toXspf,
+} from "../playlist.js";
+import * as utils from "../utils.js";
+
+const PERIOD_TITLES = {
+  all: "all time",
+  week: "the last 7 days",
+  month: "the last 30 days",
+};
+
+/**
+ * Resolve the account, format, limit and stats scope shared by every playlist route
+ * Responds with an error and returns null if the request is invalid.
+ * @param {import("express").Request} request - Request
+ * @param {import("express").Response} response - Response
+ * @returns {Promise<object|null>} - Playlist context
+ */
+async function getPlaylistContext(request, response) {
+  const { application } = request.app.locals;
+  const { lastfmConfig } = application;
+
+  if (!lastfmConfig) {
+    response.status(500).json({ error: "Not configured" });
+    return null;
+  }
+
+  const format = request.query.format || "xspf";
+  if (!PLAYLIST_FORMATS[format]) {
+    response.status(400).json({ error: "Unknown format" });
+    return null;
+  }
+
+  const db = application.getLastfmDb?.();
+  const config = await getEffectiveConfig(db, lastfmConfig);
+  const account = resolveAccount(config, request.params.user);
+  if (!account) {
+    response.status(404).json({ error: "Unknown account" });
+    return null;
+  }
+
+  const limit = Math.min(parseInt(request.query.limit) || 100, 1000);
+
+  // Same scope as stats, so top tracks agree with them
+  const scope = {
+    timezone: config.timezone,
+    excludeSources: lastfmConfig.excludeSources,
+  };
+  if (account !== EVERYONE) scope.username = account;
+
+  return { db, config, account, format, limit, scope };
+}
+
+/**
+ * Send a playlist in the requested format
+ * @param {import("express").Response} response - Response
+ * @param {string} format - 'xspf' or 'jspf'
+ * @param {object} playlist - Playlist with title, annotation and tracks
+ * @param {string} account - Username or EVERYONE
+ */
+function sendPlaylist(response, format, playlist, account) {
+  const document = {
+    ...playlist,
+    creator: account,
+    date: new Date().toISOString(),
+    tracks: playlist.tracks.map((track) => toPlaylistTrack(track)),
+  };
+
+  response.type(PLAYLIST_FORMATS[format]);
+  response.send(
+    format === "xspf"
+      ? toXspf(document)
+      : JSON.stringify(toJspf(document), null, 2),
+  );
+}
+
+/**
+ * Respond to a playlist error in the same shape as the JSON API
+ * @param {import("express").Response} response - Response
+ * @param {Error} error - Error
+ */
+function sendError(response, error) {
+  console.error("[Last.fm] Playlist error:", error);
+  const status = error.status || 500;
+  if (status === 503) {
+    response.set("Retry-After", "60");
+  }
+  response.status(status).json({
+    error: error.message,
+    code: error.code || "unknown",
+    retryable: status === 503 || status === 502,
+  });
+}
+
+/**
+ * Playlists controller
+ */
+export const playlistsController = {
+  /**
+   * Loved tracks, most recently loved first
+   * GET /api/playlists/loved?format=xspf|jspf&limit=
+   * @type {import("express").RequestHandler}
+   */
+  async loved(request, response) {
+    try {
+      const context = await getPlaylistContext(request, response);
+      if (!context) return;
+      const { db, config, account, format, limit } = context;
+
+      let tracks = [];
+      if (db) {
+        const filter = { unlovedAt: null };
+        if (account !== EVERYONE) filter.username = account;
+        const docs = await db
+          .collection("lovedTracks")
+          .find(filter)
+          .sort({ lovedAt: -1 })
+          .limit(limit)
+          .toArray();
+        tracks = docs.map((doc) => utils.formatLovedTrack(doc, true));
+      }
+
+      // Nothing synced yet, use the live API
+      if (tracks.length === 0 && account !== EVERYONE) {
+        const client = new LastFmClient({
+          apiKey: config.apiKey,
+          username: account,
+        });
+        const lovedRes = await client.getLovedTracks(1, limit);
+        tracks = (lovedRes.lovedtracks?.track || []).map((track) =>
+          utils.formatLovedTrack(track),
+        );
+      }
+
+      sendPlaylist(
+        response,
+        format,
+        {
+          title: `Loved tracks (${account})`,
+          annotation: "Loved tracks on Last.fm, most recently loved first",
+          tracks,
+        },
+        account,
+      );
+    } catch (error) {
+      sendError(response, error);
+    }
+  },
+
+  /**
+   * Most played tracks of a period
+   * GET /api/playlists/top?period=all|week|month&format=xspf|jspf&limit=
+   * @type {import("express").RequestHandler}
+   */
+  async top(request, response) {
+    try {
+      const context = await getPlaylistContext(request, response);
+      if (!context) return;
+      const { db, config, account, format, limit, scope } = context;
+
+      const period = request.query.period || "all";
+      if (!PERIOD_TITLES[period]) {
+        return response.status(400).json({ error: "Unknown period" });
+      }
+
+      // Last.fm charts are more accurate than what is synced, but only
+      // when they see the same scrobbles, as with stats
+      const useApi =
+        account !== EVERYONE &&
+        !scope.excludeSources?.length &&
+        !(db && (await hasImportedScrobbles(db, scope)));
+
+      let tracks = [];
+      if (useApi) {
+        const client = new LastFmClient({
+          apiKey: config.apiKey,
+          username: account,
+        });
+        try {
+          tracks = await getTopTracksFromApi(client, period, limit);
+        } catch (err) {
+          if (!db) throw err;
+          console.warn(
+            "[Last.fm] API top tracks failed, using DB fallback:",
+            err.message,
+          );
+        }
+      }
+
+      if (tracks.length === 0 && db) {
+        tracks = await getTopTracksFromDb(db, period, limit, scope);
+      }
+
+      sendPlaylist(
+        response,
+        format,
+        {
+          title: `Top tracks of ${PERIOD_TITLES[period]} (${account})`,
+          annotation: "Most played tracks, by number of scrobbles",
+          tracks,
+        },
+        account,
+      );
+    } catch (error) {
+      sendError(response, error);
+    }
+  },
+
+  /**
+   * Most played tracks between two dates, from synced scrobbles
+   * GET /api/playlists/range?from=&to=&format=xspf|jspf&limit=
+   * @type {import("express").RequestHandler}
+   */
+  async range(request, response) {
+    try {
+      const context = await getPlaylistContext(request, response);
+      if (!context) return;
+      const { db, account, format, limit, scope } = context;
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      // A plain `to` date includes that day, as in the export and scrobbles APIs
+      const from = parseDateFilter(request.query.from);
+      const to = parseDateFilter(request.query.to, true) ?? new Date();
+      if (!from || !to) {
+        return response
+          .status(400)
+          .json({ error: "from (and optional to) must be valid dates" });
+      }
+
+      const tracks = await getTopTracksFromDb(db, "all", limit, {
+        ...scope,
+        from,
+        to,
+      });
+
+      const day = (date) => date.toISOString().slice(0, 10);
+      sendPlaylist(
+        response,
+        format,
+        {
+          title: `Top tracks ${day(from)} to ${day(new Date(to - 1))} (${account})`,
+          annotation: "Most played tracks in the date range, by number of scrobbles",
+          tracks,
+        },
+        account,
+      );
+    } catch (error) {
+      sendError(response, error);
+    }
+  },
+};
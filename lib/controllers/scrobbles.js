@@ -1,13 +1,101 @@
+import { IndiekitError } from "@indiekit/error";
 import { LastFmClient } from "../lastfm-client.js";
-import { getEffectiveConfig } from "../config.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import { parseDateFilter } from "../dates.js";
+import {
+  decodeCursor,
+  findScrobblePage,
+  getScrobbleFilter,
+  getScrobbleQueryOptions,
+} from "../scrobble-query.js";
+import { INDEX_NOT_FOUND } from "../search.js";
 import * as utils from "../utils.js";
 
+const FILTERS = ["artist", "album", "track", "from", "to", "loved", "q"];
+
+/**
+ * Read scrobble filters from the query string
+ * @param {object} query - Request query
+ * @returns {object|null} - Filters, or null if a date is invalid
+ */
+function getFilters(query) {
+  const from = parseDateFilter(query.from);
+  const to = parseDateFilter(query.to, true);
+  if (from === null || to === null) return null;
+
+  const text = (value) => (typeof value === "string" && value) || undefined;
+  const { loved } = query;
+
+  return {
+    artist: text(query.artist),
+    album: text(query.album),
+    track: text(query.track),
+    q: text(query.q),
+    from,
+    to,
+    loved: loved === "true" ? true : loved === "false" ? false : undefined,
+  };
+}
+
+/**
+ * Get a page of scrobbles from the database, newest first
+ * Pages follow `cursor`; `page` is still accepted for offset pagination.
+ * @param {object} db - MongoDB database instance
+ * @param {object} filters - Filters (see getScrobbleFilter)
+ * @param {object} query - Request query
+ * @param {number} limit - Items per page
+ * @returns {Promise<object|null>} - API response, or null if the cursor is invalid
+ */
+async function getDbScrobbles(db, filters, query, limit) {
+  if (query.page && !query.cursor) {
+    const page = parseInt(query.page) || 1;
+    const collection = db.collection("scrobbles");
+    const filter = getScrobbleFilter(filters);
+    const options = getScrobbleQueryOptions(filters);
+
+    const [docs, total] = await Promise.all([
+      collection
+        .find(filter, options)
+        .sort({ scrobbledAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      collection.countDocuments(filter, options),
+    ]);
+
+    return {
+      scrobbles: docs.map((doc) => utils.formatScrobble(doc, true)),
+      total,
+      page,
+      hasNext: page * limit < total,
+      hasPrev: page > 1,
+    };
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : undefined;
+  if (cursor === null) return null;
+
+  const { docs, hasNext, nextCursor } = await findScrobblePage(db, filters, {
+    limit,
+    cursor,
+  });
+
+  return {
+    scrobbles: docs.map((doc) => utils.formatScrobble(doc, true)),
+    hasNext,
+    nextCursor,
+  };
+}
+
 /**
  * Scrobbles controller
  */
 export const scrobblesController = {
   /**
    * JSON API for scrobbles
+   * GET /api/scrobbles?artist=&album=&track=&from=&to=&loved=&q=&cursor=&limit=
+   * Served from the database; the live API stands in for the latest plays
+   * of one account when the database is missing or fails.
    * @type {import("express").RequestHandler}
    */
   async api(request, response, next) {
@@ -20,18 +108,64 @@ export const scrobblesController = {
       }
 
       const db = application.getLastfmDb?.();
-      const { apiKey, username } = await getEffectiveConfig(db, lastfmConfig);
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
       const limits = lastfmConfig.limits || {};
       const page = parseInt(request.query.page) || 1;
       const limit = Math.min(
         parseInt(request.query.limit) || limits.scrobbles || 20,
-        200
+        200,
       );
 
+      // Only the latest plays of one account can come from the live API
+      const apiCanServe =
+        account !== EVERYONE &&
+        !request.query.cursor &&
+        !FILTERS.some((filter) => request.query[filter]);
+
+      if (db) {
+        const filters = getFilters(request.query);
+        if (!filters) {
+          return response.status(400).json({ error: "Invalid date" });
+        }
+        if (account !== EVERYONE) filters.username = account;
+
+        try {
+          const result = await getDbScrobbles(
+            db,
+            filters,
+            request.query,
+            limit,
+          );
+          if (!result) {
+            return response.status(400).json({ error: "Invalid cursor" });
+          }
+          return response.json(result);
+        } catch (err) {
+          if (err.code === INDEX_NOT_FOUND) {
+            throw new IndiekitError("Search index not ready, sync scrobbles first", {
+              status: 503,
+              code: "search_index",
+            });
+          }
+          if (!apiCanServe) throw err;
+          console.warn(
+            "[Last.fm] Scrobbles query failed, using live API:",
+            err.message,
+          );
+        }
+      } else if (!apiCanServe) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
       const client = new LastFmClient({
-        apiKey,
-        username,
-        cacheTtl: lastfmConfig.cacheTtl,
+        apiKey: config.apiKey,
+        username: account,
       });
 
       const scrobblesRes = await client.getRecentTracks(page, limit);
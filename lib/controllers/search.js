@@ -0,0 +1,148 @@
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
+import {
+  MAX_QUERY_LENGTH,
+  MAX_SUGGESTIONS,
+  searchListening,
+} from "../search.js";
+
+/**
+ * Read search options from the query string
+ * @param {object} query - Request query
+ * @returns {object} - Search text, prefix flag and limit
+ */
+function getSearchOptions(query) {
+  const prefix = query.prefix === "true";
+  return {
+    text: typeof query.q === "string" ? query.q.trim() : "",
+    prefix,
+    // Autocomplete runs on every keystroke, so keep it small
+    limit: Math.min(parseInt(query.limit) || 10, prefix ? MAX_SUGGESTIONS : 50),
+  };
+}
+
+/**
+ * Run a search for an account
+ * @param {object} db - MongoDB database instance
+ * @param {object} lastfmConfig - Plugin options
+ * @param {object} config - Effective config
+ * @param {string} account - Username or EVERYONE
+ * @param {object} options - Search options (see getSearchOptions)
+ * @returns {Promise<object>} - Search response
+ */
+async function search(db, lastfmConfig, config, account, options) {
+  const scope = { excludeSources: lastfmConfig.excludeSources };
+  if (account !== EVERYONE) scope.username = account;
+
+  const results = await searchListening(db, options.text, {
+    scope,
+    prefix: options.prefix,
+    limit: options.limit,
+  });
+
+  return { query: options.text, prefix: options.prefix, ...results };
+}
+
+/**
+ * Search controller
+ */
+export const searchController = {
+  /**
+   * Search listening history
+   * GET /api/search?q=&prefix=&limit=
+   * @type {import("express").RequestHandler}
+   */
+  async api(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const options = getSearchOptions(request.query);
+      if (!options.text || options.text.length > MAX_QUERY_LENGTH) {
+        return response.status(400).json({ error: "Invalid query" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
+      response.json(await search(db, lastfmConfig, config, account, options));
+    } catch (error) {
+      console.error("[Last.fm] Search API error:", error);
+      const status = error.status || 500;
+      if (status === 503) {
+        response.set("Retry-After", "60");
+      }
+      response.status(status).json({
+        error: error.message,
+        code: error.code || "unknown",
+        retryable: status === 503 || status === 502,
+      });
+    }
+  },
+
+  /**
+   * Search page, across all accounts by default
+   * Answers with JSON for autocomplete requests.
+   * GET /search?q=&user=&prefix=
+   * @type {import("express").RequestHandler}
+   */
+  async get(request, response, next) {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+      const wantsJson = request.accepts(["html", "json"]) === "json";
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.query.user || EVERYONE);
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
+      const options = getSearchOptions(request.query);
+      const text = options.text.slice(0, MAX_QUERY_LENGTH);
+      const results = text
+        ? await search(db, lastfmConfig, config, account, { ...options, text })
+        : null;
+
+      if (wantsJson) {
+        return response.json(
+          results || { query: "", artists: [], albums: [], tracks: [] },
+        );
+      }
+
+      response.render("lastfm-search", {
+        title: response.__("lastfm.search.title"),
+        mountPath: request.baseUrl,
+        query: text,
+        account: account === EVERYONE ? "" : account,
+        usernames: config.usernames,
+        results,
+        // Result links open the public pages of the same account(s)
+        userQuery: `?user=${encodeURIComponent(account)}`,
+      });
+    } catch (error) {
+      console.error("[Last.fm] Search error:", error);
+      next(error);
+    }
+  },
+};
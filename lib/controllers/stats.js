@@ -1,8 +1,26 @@
 import { LastFmClient } from "../lastfm-client.js";
-import { getEffectiveConfig } from "../config.js";
+import { EVERYONE, getEffectiveConfig, resolveAccount } from "../config.js";
 import { getAllStats, getScrobbleTrends } from "../stats.js";
 import { getCachedStats } from "../sync.js";
 
+/**
+ * Get the scrobble sources to leave out of stats
+ * `?exclude=spotify,listenbrainz` overrides the configured list, and an empty
+ * `?exclude=` includes every source.
+ * @param {import("express").Request} request - Request
+ * @param {object} lastfmConfig - Plugin options
+ * @returns {Array<string>} - Excluded sources
+ */
+function getExcludedSources(request, lastfmConfig) {
+  const { exclude } = request.query;
+  if (typeof exclude !== "string") return lastfmConfig.excludeSources || [];
+
+  return exclude
+    .split(",")
+    .map((source) => source.trim())
+    .filter(Boolean);
+}
+
 /**
  * Stats controller
  */
@@ -22,20 +40,38 @@ export const statsController = {
 
       // Try database first, fall back to cache for public routes
       const db = application.getLastfmDb?.();
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
       let stats;
 
-      if (db) {
-        const { apiKey, username } = await getEffectiveConfig(db, lastfmConfig);
+      const { timezone } = config;
+      const excludeSources = getExcludedSources(request, lastfmConfig);
+
+      if (db && account === EVERYONE) {
+        // Last.fm top lists are per user, so combined stats come from the DB
+        stats = await getAllStats(db, lastfmConfig.limits, null, {
+          timezone,
+          excludeSources,
+        });
+      } else if (db) {
         const client = new LastFmClient({
-          apiKey,
-          username,
-          cacheTtl: lastfmConfig.cacheTtl,
+          apiKey: config.apiKey,
+          username: account,
         });
 
-        stats = await getAllStats(db, lastfmConfig.limits, client);
+        stats = await getAllStats(db, lastfmConfig.limits, client, {
+          username: account,
+          timezone,
+          excludeSources,
+        });
       } else {
         // Public routes don't have DB access, use cached stats
-        stats = getCachedStats();
+        stats = getCachedStats(account);
         if (!stats) {
           return response.status(503).json({
             error: "Stats not available yet",
@@ -74,15 +110,27 @@ export const statsController = {
       }
 
       const db = application.getLastfmDb?.();
+      const config = await getEffectiveConfig(db, lastfmConfig);
+      const account = resolveAccount(config, request.params.user);
+
+      if (!account) {
+        return response.status(404).json({ error: "Unknown account" });
+      }
+
       const days = Math.min(parseInt(request.query.days) || 30, 90);
 
       if (db) {
-        const trends = await getScrobbleTrends(db, days);
+        const scope = {
+          timezone: config.timezone,
+          excludeSources: getExcludedSources(request, lastfmConfig),
+        };
+        if (account !== EVERYONE) scope.username = account;
+        const trends = await getScrobbleTrends(db, days, scope);
         return response.json({ trends, days });
       }
 
       // Fall back to cached stats for public routes
-      const cachedStats = getCachedStats();
+      const cachedStats = getCachedStats(account);
       if (cachedStats?.trends) {
         return response.json({ trends: cachedStats.trends, days: 30 });
       }
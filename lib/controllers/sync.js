@@ -0,0 +1,51 @@
+import { getSyncSchedule } from "../sync.js";
+import { getRecentSyncRuns, getSyncHealth } from "../sync-history.js";
+
+/**
+ * Sync status controller
+ */
+export const syncController = {
+  /**
+   * JSON API for sync status (for monitoring)
+   * Responds with 503 when sync is unhealthy so uptime checks can alert on it
+   * @type {import("express").RequestHandler}
+   */
+  async status(request, response, next) {
+    try {
+      const { application } = request.app.locals;
+      const { lastfmConfig } = application;
+
+      if (!lastfmConfig) {
+        return response.status(500).json({ error: "Not configured" });
+      }
+
+      const db = application.getLastfmDb?.();
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const limit = Math.min(parseInt(request.query.limit) || 10, 100);
+      const schedule = getSyncSchedule();
+      const intervalMs = schedule.intervalMs || lastfmConfig.syncInterval;
+
+      const [health, runs] = await Promise.all([
+        getSyncHealth(db, intervalMs),
+        getRecentSyncRuns(db, limit),
+      ]);
+
+      response.status(health.healthy ? 200 : 503).json({
+        ...health,
+        running: schedule.running,
+        intervalMs,
+        nextRunAt: schedule.nextRunAt,
+        runs,
+      });
+    } catch (error) {
+      console.error("[Last.fm] Sync status API error:", error);
+      response.status(error.status || 500).json({
+        error: error.message,
+        code: error.code || "unknown",
+      });
+    }
+  },
+};
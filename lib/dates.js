@@ -0,0 +1,133 @@
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timeZone - Timezone name, e.g. "Europe/Lisbon"
+ * @returns {boolean} - Whether the timezone is supported
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the calendar date and weekday of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {object} - Year, month (1-12), day and weekday (0 = Monday)
+ */
+export function getZonedDate(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      weekday: "short",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value]),
+  );
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(
+      parts.weekday,
+    ),
+  };
+}
+
+/**
+ * Get a timezone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)]),
+  );
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the instant local midnight starts on a calendar date
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12, overflow rolls into the next year)
+ * @param {number} day - Day of month (overflow rolls into the next month)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Start of the local day
+ */
+export function startOfZonedDay(year, month, day, timeZone) {
+  const guess = Date.UTC(year, month - 1, day);
+  const offset = getTimezoneOffset(new Date(guess), timeZone);
+  // Re-check in case the offset changes (DST) between UTC and local midnight
+  const start = guess - getTimezoneOffset(new Date(guess - offset), timeZone);
+  return new Date(start);
+}
+
+/**
+ * Get the start of a calendar period containing an instant
+ * Weeks start on Monday.
+ * @param {string} period - 'today', 'thisWeek', 'thisMonth' or 'thisYear'
+ * @param {string} [timeZone] - IANA timezone (defaults to UTC)
+ * @param {Date} [now] - Instant inside the period
+ * @returns {Date} - Start of the period
+ */
+export function startOfPeriod(period, timeZone = "UTC", now = new Date()) {
+  const { year, month, day, weekday } = getZonedDate(now, timeZone);
+
+  switch (period) {
+    case "thisWeek":
+      return startOfZonedDay(year, month, day - weekday, timeZone);
+    case "thisMonth":
+      return startOfZonedDay(year, month, 1, timeZone);
+    case "thisYear":
+      return startOfZonedDay(year, 1, 1, timeZone);
+    default:
+      return startOfZonedDay(year, month, day, timeZone);
+  }
+}
+
+/**
+ * Parse a date filter from a query string
+ * @param {string} [value] - ISO date or date-time
+ * @param {boolean} [inclusiveEnd] - Move a plain date to the following midnight
+ * @returns {Date|null|undefined} - Date, undefined if absent, null if invalid
+ */
+export function parseDateFilter(value, inclusiveEnd = false) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  // A plain date as the end of the range includes that whole (UTC) day
+  if (inclusiveEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
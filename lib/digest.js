@@ -0,0 +1,282 @@
+import nunjucks from "nunjucks";
+import { getEffectiveConfig } from "./config.js";
+import { getZonedDate, startOfPeriod } from "./dates.js";
+import { createPost, getMicropubConfig } from "./micropub.js";
+import {
+  claimPublication,
+  completePublication,
+  releasePublication,
+} from "./published.js";
+import { hasSyncedSince } from "./sync-history.js";
+import {
+  getSummary,
+  getTopAlbumsFromDb,
+  getTopArtistsFromDb,
+  getTopTracksFromDb,
+} from "./stats.js";
+
+const CHECK_INTERVAL = 3_600_000; // Hourly
+
+/**
+ * Default digest template (Markdown, rendered with Nunjucks)
+ */
+export const DEFAULT_DIGEST_TEMPLATE = `{{ summary.totalPlays }} plays of {{ summary.uniqueTracks }} tracks by {{ summary.uniqueArtists }} artists.
+
+## Top artists
+
+{% for artist in topArtists -%}
+{{ loop.index }}. {{ artist.name }} ({{ artist.playCount }} plays)
+{% endfor %}
+## Top albums
+
+{% for album in topAlbums -%}
+{{ loop.index }}. {% if album.coverUrl %}![]({{ album.coverUrl }}) {% endif %}**{{ album.title }}** by {{ album.artist }} ({{ album.playCount }} plays)
+{% endfor %}
+## Top tracks
+
+{% for track in topTracks -%}
+{{ loop.index }}. {{ track.track }} by {{ track.artist }} ({{ track.playCount }} plays)
+{% endfor %}`;
+
+/**
+ * Digest periods: how to find the previous period and name it
+ */
+const PERIODS = {
+  weekly: {
+    calendarPeriod: "thisWeek",
+    title: (start, timezone) =>
+      `Listening digest: week of ${formatDate(start, timezone, { day: "numeric", month: "long", year: "numeric" })}`,
+  },
+  monthly: {
+    calendarPeriod: "thisMonth",
+    title: (start, timezone) =>
+      `Listening digest: ${formatDate(start, timezone, { month: "long", year: "numeric" })}`,
+  },
+};
+
+// Markdown, so nothing is HTML-escaped
+const templates = new nunjucks.Environment(null, { autoescape: false });
+
+let digestInterval = null;
+let digestRunning = false;
+
+/**
+ * Format a date in a timezone
+ * @param {Date} date - Date
+ * @param {string} timeZone - IANA timezone
+ * @param {object} format - Intl.DateTimeFormat options
+ * @returns {string} - Formatted date
+ */
+function formatDate(date, timeZone, format) {
+  return new Intl.DateTimeFormat("en-GB", { ...format, timeZone }).format(
+    date,
+  );
+}
+
+/**
+ * Get digest settings: dashboard settings override plugin options
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @returns {Promise<object>} - Digest settings
+ */
+export async function getDigestSettings(db, options) {
+  const saved = db
+    ? await db.collection("lastfmMeta").findOne({ key: "digest" })
+    : null;
+
+  const settings = {
+    weekly: false,
+    monthly: false,
+    postStatus: "draft",
+    limit: 5,
+    ...options.digests,
+    ...saved,
+  };
+  settings.template ||= DEFAULT_DIGEST_TEMPLATE;
+  delete settings._id;
+  delete settings.key;
+  return settings;
+}
+
+/**
+ * Save digest settings from the dashboard
+ * @param {object} db - MongoDB database instance
+ * @param {object} settings - Weekly, monthly, postStatus and template
+ * @returns {Promise<void>}
+ */
+export async function saveDigestSettings(db, settings) {
+  await db.collection("lastfmMeta").updateOne(
+    { key: "digest" },
+    { $set: { ...settings, key: "digest", updatedAt: new Date() } },
+    { upsert: true },
+  );
+}
+
+/**
+ * Get the period before the current one
+ * @param {string} type - 'weekly' or 'monthly'
+ * @param {string} timezone - IANA timezone
+ * @param {Date} [now] - Current time
+ * @returns {object} - Start (inclusive) and end (exclusive)
+ */
+export function getPreviousPeriod(type, timezone, now = new Date()) {
+  const { calendarPeriod } = PERIODS[type];
+  const end = startOfPeriod(calendarPeriod, timezone, now);
+  const start = startOfPeriod(calendarPeriod, timezone, new Date(end - 1));
+  return { start, end };
+}
+
+/**
+ * Gather the stats a digest template receives
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account
+ * @param {object} period - Start and end of the period
+ * @param {object} [options] - Digest options
+ * @param {number} [options.limit] - Entries in each top list
+ * @param {Array<string>} [options.excludeSources] - Sources left out of stats
+ * @returns {Promise<object>} - Template context
+ */
+export async function getDigestContext(db, username, period, options = {}) {
+  const { limit = 5, excludeSources } = options;
+  const scope = { username, excludeSources, from: period.start, to: period.end };
+  const [summary, topArtists, topAlbums, topTracks] = await Promise.all([
+    getSummary(db, "all", scope),
+    getTopArtistsFromDb(db, "all", limit, scope),
+    getTopAlbumsFromDb(db, "all", limit, scope),
+    getTopTracksFromDb(db, "all", limit, scope),
+  ]);
+
+  return {
+    username,
+    start: period.start,
+    end: period.end,
+    summary,
+    topArtists,
+    topAlbums,
+    topTracks,
+  };
+}
+
+/**
+ * Render a digest template
+ * @param {string} template - Nunjucks template
+ * @param {object} context - Template context (see getDigestContext)
+ * @returns {string} - Post content
+ */
+export function renderDigest(template, context) {
+  return templates.renderString(template, context).trim();
+}
+
+/**
+ * Start scheduled digest posts
+ * Digests are checked hourly; each is published once, in the first check
+ * after its period ends.
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin options
+ */
+export function startDigests(Indiekit, options) {
+  digestInterval = setInterval(() => {
+    runDigests(Indiekit, options).catch((err) => {
+      console.error("[Last.fm] Digest error:", err.message);
+    });
+  }, CHECK_INTERVAL);
+}
+
+/**
+ * Stop scheduled digest posts
+ */
+export function stopDigests() {
+  if (digestInterval) {
+    clearInterval(digestInterval);
+    digestInterval = null;
+  }
+}
+
+/**
+ * Check whether an account's scrobbles for a period are all synced
+ * That takes a finished backfill and a successful sync after the period.
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account
+ * @param {object} period - Period start and end
+ * @returns {Promise<boolean>} - Whether the period can be summarised
+ */
+async function isPeriodSynced(db, username, period) {
+  const backfill = await db
+    .collection("lastfmMeta")
+    .findOne({ key: "backfill", username, completedAt: { $ne: null } });
+  return Boolean(backfill) && hasSyncedSince(db, username, period.end);
+}
+
+/**
+ * Publish any digest whose period has ended
+ * Each account gets its own digests. A digest waits until its period has
+ * been synced, and failed ones are tried again in later checks.
+ * @param {object} Indiekit - Indiekit instance (or {database, config} object)
+ * @param {object} options - Plugin options
+ * @returns {Promise<Array>} - Published digests
+ */
+export async function runDigests(Indiekit, options) {
+  const db = Indiekit.database;
+  if (!db || digestRunning) return [];
+
+  const settings = await getDigestSettings(db, options);
+  const types = Object.keys(PERIODS).filter((type) => settings[type]);
+  if (types.length === 0) return [];
+
+  const micropub = getMicropubConfig(Indiekit, options);
+  if (!micropub) {
+    console.warn("[Last.fm] Digests enabled but no Micropub endpoint or token");
+    return [];
+  }
+
+  const { usernames, timezone } = await getEffectiveConfig(db, options);
+
+  const digests = usernames.flatMap((username) =>
+    types.map((type) => ({ username, type })),
+  );
+
+  const published = [];
+  digestRunning = true;
+  try {
+    for (const { username, type } of digests) {
+      const period = getPreviousPeriod(type, timezone);
+      const { year, month, day } = getZonedDate(period.start, timezone);
+      const date = [year, month, day].map((n) => String(n).padStart(2, "0"));
+      const key = `${username}:${type}:${date.join("-")}`;
+
+      // A period is summarised once its last scrobbles are in
+      if (!(await isPeriodSynced(db, username, period))) continue;
+      if (!(await claimPublication(db, "digest", key, { username }))) continue;
+
+      try {
+        const context = await getDigestContext(db, username, period, {
+          limit: settings.limit,
+          excludeSources: options.excludeSources,
+        });
+
+        // Nothing to summarise; check again in case plays are imported
+        if (context.summary.totalPlays === 0) {
+          await releasePublication(db, "digest", key);
+          continue;
+        }
+
+        const title = PERIODS[type].title(period.start, timezone);
+        const url = await createPost(micropub, {
+          name: [usernames.length > 1 ? `${title} (${username})` : title],
+          content: [renderDigest(settings.template, context)],
+          "post-status": [settings.postStatus],
+        });
+        await completePublication(db, "digest", key, { url });
+        published.push({ username, type, key, url });
+        console.log(`[Last.fm] Published ${type} digest: ${url}`);
+      } catch (err) {
+        console.error(`[Last.fm] ${type} digest failed:`, err.message);
+        await completePublication(db, "digest", key, { error: err });
+      }
+    }
+  } finally {
+    digestRunning = false;
+  }
+
+  return published;
+}
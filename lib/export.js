@@ -0,0 +1,139 @@
+import { Transform } from "node:stream";
+import { CASE_INSENSITIVE } from "./utils.js";
+
+/**
+ * Scrobble fields written to exports, in column order
+ */
+export const EXPORT_FIELDS = [
+  "username",
+  "scrobbledAt",
+  "artistName",
+  "trackTitle",
+  "albumTitle",
+  "artistMbid",
+  "albumMbid",
+  "mbid",
+  "trackUrl",
+  "loved",
+  "source",
+];
+
+/**
+ * Content types and file extensions for each export format
+ */
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  ndjson: { contentType: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+};
+
+/**
+ * Build a MongoDB filter for exported scrobbles
+ * Soft-deleted scrobbles are never exported.
+ * @param {object} [filters] - Export filters
+ * @param {string} [filters.username] - Limit to one account (all if omitted)
+ * @param {Date} [filters.from] - Earliest scrobble time (inclusive)
+ * @param {Date} [filters.to] - Latest scrobble time (exclusive)
+ * @param {string} [filters.artist] - Artist name (case-insensitive)
+ * @param {boolean} [filters.loved] - Only loved (true) or not loved (false)
+ * @returns {object} - MongoDB filter
+ */
+export function getExportFilter(filters = {}) {
+  const query = { deletedAt: null };
+
+  if (filters.username) query.username = filters.username;
+  if (filters.artist) query.artistName = filters.artist;
+  if (typeof filters.loved === "boolean") query.loved = filters.loved;
+
+  if (filters.from || filters.to) {
+    query.scrobbledAt = {};
+    if (filters.from) query.scrobbledAt.$gte = filters.from;
+    if (filters.to) query.scrobbledAt.$lt = filters.to;
+  }
+
+  return query;
+}
+
+/**
+ * Open a cursor over the scrobbles matching export filters, oldest first
+ * @param {object} db - MongoDB database instance
+ * @param {object} [filters] - Export filters (see getExportFilter)
+ * @returns {object} - MongoDB cursor
+ */
+export function findExportScrobbles(db, filters = {}) {
+  const projection = Object.fromEntries(EXPORT_FIELDS.map((f) => [f, 1]));
+
+  return db
+    .collection("scrobbles")
+    .find(getExportFilter(filters), {
+      projection: { _id: 0, ...projection },
+      ...(filters.artist && { collation: CASE_INSENSITIVE }),
+    })
+    .sort({ scrobbledAt: 1 });
+}
+
+/**
+ * Flatten a scrobble document into export values
+ * @param {object} doc - Scrobble document
+ * @returns {object} - Values keyed by export field
+ */
+function toExportRecord(doc) {
+  const record = {};
+  for (const field of EXPORT_FIELDS) {
+    record[field] = doc[field] ?? null;
+  }
+  record.scrobbledAt = new Date(doc.scrobbledAt).toISOString();
+  record.loved = Boolean(doc.loved);
+  record.source = doc.source || "lastfm";
+  return record;
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function toCsvField(value) {
+  const text = value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Create a stream that serialises scrobble documents in an export format
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ * @returns {Transform} - Object-mode in, text out
+ */
+export function createExportStream(format) {
+  let first = true;
+
+  const prefix = {
+    csv: EXPORT_FIELDS.join(",") + "\r\n",
+    json: "[",
+    ndjson: "",
+  }[format];
+
+  const serialise = {
+    csv: (record) =>
+      EXPORT_FIELDS.map((field) => toCsvField(record[field])).join(",") +
+      "\r\n",
+    json: (record) => (first ? "\n" : ",\n") + JSON.stringify(record),
+    ndjson: (record) => JSON.stringify(record) + "\n",
+  }[format];
+
+  return new Transform({
+    writableObjectMode: true,
+    construct(callback) {
+      if (prefix) this.push(prefix);
+      callback();
+    },
+    transform(doc, encoding, callback) {
+      const chunk = serialise(toExportRecord(doc));
+      first = false;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (format === "json") this.push(first ? "]\n" : "\n]\n");
+      callback();
+    },
+  });
+}
@@ -0,0 +1,240 @@
+import { createHash } from "node:crypto";
+import { escapeXml } from "./utils.js";
+
+/**
+ * Content types for each feed format
+ */
+export const FEED_FORMATS = {
+  atom: "application/atom+xml; charset=utf-8",
+  rss: "application/rss+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+
+const IMAGE_TYPES = {
+  gif: "image/gif",
+  png: "image/png",
+  webp: "image/webp",
+};
+
+/**
+ * Guess the content type of a cover image from its URL
+ * @param {string} url - Image URL
+ * @returns {string} - Image content type
+ */
+function imageType(url) {
+  const extension = url.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  return IMAGE_TYPES[extension] || "image/jpeg";
+}
+
+/**
+ * Pick the latest of several dates
+ * @param {Date} first - Date that is always set
+ * @param {...(Date|undefined)} others - Dates that may be missing
+ * @returns {Date} - Latest date
+ */
+function latestDate(first, ...others) {
+  return others.reduce(
+    (latest, date) => (date > latest ? date : latest),
+    first,
+  );
+}
+
+/**
+ * Convert a scrobble document into a feed item
+ * @param {object} doc - Scrobble document
+ * @param {string} feedUrl - Feed URL, used to build item IDs
+ * @returns {object} - Feed item
+ */
+export function scrobbleItem(doc, feedUrl) {
+  const by = `${doc.trackTitle} by ${doc.artistName}`;
+  const album = doc.albumTitle ? ` from ${doc.albumTitle}` : "";
+
+  return {
+    id: `${feedUrl}#${doc.username}:${doc.lastfmId || doc._id}`,
+    title: by,
+    url: doc.trackUrl || null,
+    text: `Listened to ${by}${album}`,
+    image: doc.coverUrl || null,
+    published: doc.scrobbledAt,
+    // Reconcile edits change an item after it was first synced
+    updated: latestDate(doc.scrobbledAt, doc.syncedAt, doc.editedAt),
+    author: doc.username,
+  };
+}
+
+/**
+ * Convert a loved track document into a feed item
+ * @param {object} doc - Loved track document
+ * @param {string} feedUrl - Feed URL, used to build item IDs
+ * @returns {object} - Feed item
+ */
+export function lovedItem(doc, feedUrl) {
+  const by = `${doc.trackTitle} by ${doc.artistName}`;
+  const lovedAt = doc.lovedAt || doc.syncedAt;
+
+  return {
+    id: `${feedUrl}#${doc.username}:${doc.artistName}:${doc.trackTitle}`,
+    title: by,
+    url: doc.trackUrl || null,
+    text: `Loved ${by}`,
+    image: doc.coverUrl || null,
+    published: lovedAt,
+    updated: latestDate(lovedAt, doc.syncedAt),
+    author: doc.username,
+  };
+}
+
+/**
+ * Get the time a feed last changed
+ * @param {Array} items - Feed items
+ * @returns {Date} - Latest item update, or the Unix epoch for empty feeds
+ */
+export function feedUpdated(items) {
+  return items.reduce(
+    (latest, item) => (item.updated > latest ? item.updated : latest),
+    new Date(0),
+  );
+}
+
+/**
+ * Compute an ETag for a feed
+ * @param {string} format - Feed format
+ * @param {object} feed - Feed with feedUrl and items
+ * @returns {string} - Weak ETag
+ */
+export function feedEtag(format, feed) {
+  const hash = createHash("sha1").update(`${format}\n${feed.feedUrl}`);
+  for (const item of feed.items) {
+    hash.update(`\n${item.id}\n${item.updated.getTime()}`);
+  }
+  return `W/"${hash.digest("base64url")}"`;
+}
+
+/**
+ * Render an item's HTML content
+ * @param {object} item - Feed item
+ * @returns {string} - HTML
+ */
+function itemHtml(item) {
+  const text = escapeXml(item.text);
+  const image = item.image ? `<img src="${escapeXml(item.image)}" alt="">` : "";
+  return item.url
+    ? `<p><a href="${escapeXml(item.url)}">${text}</a></p>${image}`
+    : `<p>${text}</p>${image}`;
+}
+
+/**
+ * Render a feed as Atom
+ * @param {object} feed - Feed with title, homeUrl, feedUrl, hub, updated and items
+ * @returns {string} - Atom document
+ */
+export function toAtom(feed) {
+  const entries = feed.items.map((item) => {
+    const lines = [
+      "  <entry>",
+      `    <id>${escapeXml(item.id)}</id>`,
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <published>${item.published.toISOString()}</published>`,
+      `    <updated>${item.updated.toISOString()}</updated>`,
+      `    <author><name>${escapeXml(item.author)}</name></author>`,
+    ];
+    if (item.url) {
+      lines.push(`    <link rel="alternate" href="${escapeXml(item.url)}"/>`);
+    }
+    if (item.image) {
+      lines.push(
+        `    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>`,
+      );
+    }
+    lines.push(
+      `    <content type="html">${escapeXml(itemHtml(item))}</content>`,
+      "  </entry>",
+    );
+    return lines.join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    ...(feed.hub ? [`  <link rel="hub" href="${escapeXml(feed.hub)}"/>`] : []),
+    ...entries,
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {object} feed - Feed with title, homeUrl, feedUrl, hub, updated and items
+ * @returns {string} - RSS document
+ */
+export function toRss(feed) {
+  const items = feed.items.map((item) => {
+    const lines = [
+      "    <item>",
+      `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+      `      <description>${escapeXml(itemHtml(item))}</description>`,
+    ];
+    if (item.url) lines.push(`      <link>${escapeXml(item.url)}</link>`);
+    if (item.image) {
+      // RSS requires a length; 0 is the convention when it is unknown
+      lines.push(
+        `      <enclosure url="${escapeXml(item.image)}" type="${imageType(item.image)}" length="0"/>`,
+      );
+    }
+    lines.push("    </item>");
+    return lines.join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.title)}</description>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    ...(feed.hub ? [`    <atom:link rel="hub" href="${escapeXml(feed.hub)}"/>`] : []),
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render a feed as JSON Feed 1.1
+ * @param {object} feed - Feed with title, homeUrl, feedUrl, hub, updated and items
+ * @returns {object} - JSON Feed document
+ */
+export function toJsonFeed(feed) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    ...(feed.hub && { hubs: [{ type: "WebSub", url: feed.hub }] }),
+    items: feed.items.map((item) => ({
+      id: item.id,
+      ...(item.url && { url: item.url }),
+      title: item.title,
+      content_html: itemHtml(item),
+      content_text: item.text,
+      ...(item.image && {
+        image: item.image,
+        attachments: [{ url: item.image, mime_type: imageType(item.image) }],
+      }),
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: [{ name: item.author }],
+    })),
+  };
+}
@@ -0,0 +1,163 @@
+import { ensureScrobbleIndexes, transformScrobble } from "./sync.js";
+import { runMigrations } from "./migrations.js";
+import { recordSyncRun } from "./sync-history.js";
+
+const BATCH_SIZE = 1000;
+
+let importRunning = false;
+
+/**
+ * Check whether an import is in progress
+ * @returns {boolean} - Whether an import is running
+ */
+export function isImportRunning() {
+  return importRunning;
+}
+
+/**
+ * Parse and import history exports, recording the run in the sync history
+ * Imports of large exports take minutes, so this runs after the upload
+ * request has been answered.
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account the scrobbles belong to
+ * @param {Function} parse - Returns the importer's scrobbles, ignored and invalid counts
+ * @param {object} [options] - Import options (see importScrobbles)
+ * @returns {Promise<object>} - Imported, skipped, ignored and invalid counts
+ */
+export async function runImport(db, username, parse, options = {}) {
+  const startedAt = new Date();
+  const run = { imported: 0, skipped: 0, ignored: 0, invalid: 0 };
+  let error = null;
+
+  importRunning = true;
+  try {
+    const { scrobbles, ignored, invalid } = parse();
+    Object.assign(run, { ignored, invalid });
+    Object.assign(run, await importScrobbles(db, username, scrobbles, options));
+  } catch (err) {
+    error = err;
+  } finally {
+    importRunning = false;
+  }
+
+  const finishedAt = new Date();
+  await recordSyncRun(db, {
+    trigger: "import",
+    status: error ? "failed" : "success",
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    pagesFetched: 0,
+    inserted: run.imported,
+    updated: 0,
+    skipped: run.skipped + run.ignored + run.invalid,
+    accounts: [
+      {
+        username,
+        inserted: run.imported,
+        updated: 0,
+        skipped: run.skipped + run.ignored + run.invalid,
+      },
+    ],
+    errors: error ? [{ username, message: error.message }] : [],
+  }).catch((err) => {
+    console.error("[Last.fm] Failed to record import run:", err.message);
+  });
+
+  if (error) throw error;
+  return run;
+}
+
+/**
+ * Import Last.fm API shaped scrobbles for an account
+ * Scrobbles already stored (same track, artist and time) are skipped by the
+ * unique index rather than overwritten. With a tolerance, scrobbles of the
+ * same track within that many milliseconds of a stored one are skipped too,
+ * since other services timestamp the same play slightly differently.
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account the scrobbles belong to
+ * @param {Array} scrobbles - Scrobbles from an importer
+ * @param {object} [options] - Import options
+ * @param {string} [options.source] - Source recorded on each document
+ * @param {number} [options.tolerance] - Near-duplicate window in milliseconds
+ * @returns {Promise<object>} - Imported and skipped counts
+ */
+export async function importScrobbles(db, username, scrobbles, options = {}) {
+  const { source = "lastfm", tolerance = 0 } = options;
+  const collection = db.collection("scrobbles");
+  await runMigrations(db);
+  await ensureScrobbleIndexes(collection);
+
+  const counts = { imported: 0, skipped: 0 };
+
+  // In time order, each batch only spans a short stretch of stored history
+  // when looking for near-duplicates
+  const sorted = scrobbles
+    .map((scrobble) => transformScrobble(scrobble, username, source))
+    .sort((a, b) => a.scrobbledAt - b.scrobbledAt);
+
+  for (let i = 0; i < sorted.length; i += BATCH_SIZE) {
+    let docs = sorted.slice(i, i + BATCH_SIZE);
+
+    if (tolerance > 0) {
+      const unique = await withoutNearDuplicates(collection, docs, tolerance);
+      counts.skipped += docs.length - unique.length;
+      docs = unique;
+      if (docs.length === 0) continue;
+    }
+
+    try {
+      const { insertedCount } = await collection.insertMany(docs, {
+        ordered: false,
+      });
+      counts.imported += insertedCount;
+    } catch (err) {
+      const writeErrors = err.writeErrors || [];
+      if (writeErrors.some((writeError) => writeError.code !== 11000)) {
+        throw err;
+      }
+
+      counts.imported += err.result?.insertedCount || 0;
+      counts.skipped += writeErrors.length;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Drop documents that match a stored scrobble of the same track nearby in time
+ * @param {object} collection - Scrobbles collection
+ * @param {Array} docs - Transformed scrobble documents for one account
+ * @param {number} tolerance - Window in milliseconds
+ * @returns {Promise<Array>} - Documents with no stored near-duplicate
+ */
+async function withoutNearDuplicates(collection, docs, tolerance) {
+  const times = docs.map((doc) => doc.scrobbledAt.getTime());
+  const stored = await collection
+    .find(
+      {
+        username: docs[0].username,
+        scrobbledAt: {
+          $gte: new Date(Math.min(...times) - tolerance),
+          $lte: new Date(Math.max(...times) + tolerance),
+        },
+      },
+      { projection: { trackTitle: 1, artistName: 1, scrobbledAt: 1 } },
+    )
+    .toArray();
+
+  const key = (doc) => `${doc.artistName}\u0000${doc.trackTitle}`.toLowerCase();
+  const storedTimes = new Map();
+  for (const doc of stored) {
+    if (!storedTimes.has(key(doc))) storedTimes.set(key(doc), []);
+    storedTimes.get(key(doc)).push(doc.scrobbledAt.getTime());
+  }
+
+  return docs.filter((doc) => {
+    const time = doc.scrobbledAt.getTime();
+    return !(storedTimes.get(key(doc)) || []).some(
+      (storedTime) => Math.abs(storedTime - time) <= tolerance,
+    );
+  });
+}
@@ -0,0 +1,149 @@
+/**
+ * Column names used by Last.fm export tools (and our own CSV export), in
+ * order of preference
+ */
+const COLUMNS = {
+  artist: ["artist", "artist_name", "artistname"],
+  artistMbid: ["artist_mbid", "artistmbid"],
+  album: ["album", "album_name", "albumname", "albumtitle"],
+  albumMbid: ["album_mbid", "albummbid"],
+  track: ["track", "track_name", "trackname", "tracktitle", "title", "name"],
+  trackMbid: ["track_mbid", "trackmbid", "mbid"],
+  timestamp: ["uts", "timestamp", "date", "utc_time", "time", "scrobbledat"],
+};
+
+/**
+ * Column order of header-less exports: artist, album, track, date
+ */
+const POSITIONAL_COLUMNS = { artist: 0, album: 1, track: 2, timestamp: 3 };
+
+/**
+ * Split CSV text into rows of fields (RFC 4180)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, skipping blank lines
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  // Strip a byte order mark left by spreadsheet apps
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some(Boolean)) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(Boolean)) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Parse a scrobble timestamp from an export
+ * Accepts Unix seconds or milliseconds, or a date string (UTC unless it
+ * carries its own offset).
+ * @param {string} value - Timestamp
+ * @returns {Date|null} - Date, or null if invalid
+ */
+export function parseTimestamp(value) {
+  const text = value?.trim();
+  if (!text) return null;
+
+  if (/^\d+$/.test(text)) {
+    const number = Number(text);
+    // Anything this large is already in milliseconds
+    const date = new Date(number > 1e11 ? number : number * 1000);
+    return number > 0 ? date : null;
+  }
+
+  const hasZone = /(z|utc|gmt|[+-]\d{2}:?\d{2})$/i.test(text);
+  const date = new Date(hasZone ? text : `${text} UTC`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Map column names to indexes from a header row
+ * @param {Array<string>} header - Header row
+ * @returns {object|null} - Column indexes, or null if not a header row
+ */
+function getColumns(header) {
+  const names = header.map((name) => name.trim().toLowerCase());
+  const columns = {};
+
+  for (const [key, aliases] of Object.entries(COLUMNS)) {
+    const alias = aliases.find((name) => names.includes(name));
+    if (alias) columns[key] = names.indexOf(alias);
+  }
+
+  return columns.artist === undefined || columns.track === undefined
+    ? null
+    : columns;
+}
+
+/**
+ * Parse a Last.fm history export into Last.fm API shaped scrobbles
+ * Exports with a header row are matched by column name; exports without
+ * one are read as artist, album, track, date.
+ * @param {string} text - CSV text
+ * @returns {object} - Scrobbles and number of invalid rows
+ */
+export function parseLastfmCsv(text) {
+  const rows = parseCsv(text);
+  const columns = rows.length > 0 && getColumns(rows[0]);
+  if (columns) rows.shift();
+
+  const { artist, artistMbid, album, albumMbid, track, trackMbid, timestamp } =
+    columns || POSITIONAL_COLUMNS;
+  const get = (row, index) => (index === undefined ? "" : row[index]?.trim());
+
+  const scrobbles = [];
+  let invalid = 0;
+
+  for (const row of rows) {
+    const artistName = get(row, artist);
+    const trackTitle = get(row, track);
+    const date = parseTimestamp(get(row, timestamp));
+
+    if (!artistName || !trackTitle || !date) {
+      invalid++;
+      continue;
+    }
+
+    scrobbles.push({
+      name: trackTitle,
+      mbid: get(row, trackMbid) || "",
+      artist: { "#text": artistName, mbid: get(row, artistMbid) || "" },
+      album: { "#text": get(row, album) || "", mbid: get(row, albumMbid) || "" },
+      date: { uts: String(Math.floor(date.getTime() / 1000)) },
+    });
+  }
+
+  return { scrobbles, invalid };
+}
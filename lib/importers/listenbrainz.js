@@ -0,0 +1,92 @@
+/**
+ * Parse ListenBrainz export text into listen objects
+ * Accepts a JSON array (full export), JSON Lines (one listen per line) or
+ * an API response ({ payload: { listens } }).
+ * @param {string} text - Export file contents
+ * @returns {object} - Listens and number of lines that failed to parse
+ */
+function parseListens(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    try {
+      const data = JSON.parse(trimmed);
+      const listens = Array.isArray(data) ? data : data.payload?.listens;
+      if (listens) return { listens, invalid: 0 };
+    } catch {
+      // Not a single JSON document, try JSON Lines
+    }
+  }
+
+  const listens = [];
+  let invalid = 0;
+  for (const line of trimmed.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      listens.push(JSON.parse(line));
+    } catch {
+      invalid++;
+    }
+  }
+
+  return { listens, invalid };
+}
+
+/**
+ * Get a MusicBrainz ID from a listen, preferring submitted IDs over mapped ones
+ * @param {object} metadata - Listen track_metadata
+ * @param {string} key - Single ID key, e.g. 'release_mbid'
+ * @param {string} [listKey] - Array key, e.g. 'artist_mbids'
+ * @returns {string} - MBID or empty string
+ */
+function getListenMbid(metadata, key, listKey) {
+  for (const info of [metadata.additional_info, metadata.mbid_mapping]) {
+    const mbid = info?.[key] || (listKey && info?.[listKey]?.[0]);
+    if (mbid) return mbid;
+  }
+  return "";
+}
+
+/**
+ * Parse a ListenBrainz listen export into Last.fm API shaped scrobbles
+ * @param {string} text - Export file contents (JSON or JSON Lines)
+ * @returns {object} - Scrobbles and number of invalid listens
+ */
+export function parseListenBrainz(text) {
+  const { listens, invalid: unparsed } = parseListens(text);
+  const scrobbles = [];
+  let invalid = unparsed;
+
+  for (const listen of listens) {
+    const metadata = listen?.track_metadata;
+    const listenedAt = Number(listen?.listened_at);
+
+    if (
+      !metadata?.artist_name ||
+      !metadata?.track_name ||
+      !Number.isInteger(listenedAt) ||
+      listenedAt <= 0
+    ) {
+      invalid++;
+      continue;
+    }
+
+    scrobbles.push({
+      name: metadata.track_name,
+      mbid:
+        getListenMbid(metadata, "recording_mbid") ||
+        getListenMbid(metadata, "track_mbid"),
+      artist: {
+        "#text": metadata.artist_name,
+        mbid: getListenMbid(metadata, "artist_mbid", "artist_mbids"),
+      },
+      album: {
+        "#text": metadata.release_name || "",
+        mbid: getListenMbid(metadata, "release_mbid"),
+      },
+      date: { uts: String(listenedAt) },
+    });
+  }
+
+  return { scrobbles, invalid };
+}
@@ -0,0 +1,111 @@
+// Last.fm counts a play once half the track, or four minutes, has been heard
+const MAX_REQUIRED_MS = 240_000;
+
+/**
+ * Parse Spotify extended streaming history files into Last.fm API shaped scrobbles
+ *
+ * The history has no track durations, so the longest play of each track
+ * across all files stands in for its length when applying the half-track
+ * rule. Podcast episodes, audiobooks and plays shorter than `minMsPlayed`
+ * are ignored.
+ * @param {Array<string>} texts - Contents of each Streaming_History_Audio_*.json file
+ * @param {object} [options] - Import options
+ * @param {number} [options.minMsPlayed] - Minimum play length in milliseconds
+ * @returns {object} - Scrobbles, ignored plays and number of invalid entries
+ */
+export function parseSpotifyHistory(texts, options = {}) {
+  const minMsPlayed = options.minMsPlayed ?? 30_000;
+  const entries = [];
+  let invalid = 0;
+
+  for (const text of texts) {
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data)) entries.push(...data);
+      else invalid++;
+    } catch {
+      invalid++;
+    }
+  }
+
+  // Longest play of each track, as an estimate of its duration
+  const longestPlay = new Map();
+  for (const entry of entries) {
+    const uri = entry?.spotify_track_uri;
+    if (uri && entry.ms_played > (longestPlay.get(uri) || 0)) {
+      longestPlay.set(uri, entry.ms_played);
+    }
+  }
+
+  const scrobbles = [];
+  let ignored = 0;
+
+  for (const entry of entries) {
+    if (isPodcastOrAudiobook(entry)) {
+      ignored++;
+      continue;
+    }
+
+    const trackTitle = entry?.master_metadata_track_name;
+    const artistName = entry?.master_metadata_album_artist_name;
+    const endedAt = new Date(entry?.ts);
+    const msPlayed = Number(entry?.ms_played);
+
+    if (
+      !trackTitle ||
+      !artistName ||
+      Number.isNaN(endedAt.getTime()) ||
+      !Number.isFinite(msPlayed)
+    ) {
+      invalid++;
+      continue;
+    }
+
+    const duration = longestPlay.get(entry.spotify_track_uri) || msPlayed;
+    const required = Math.max(
+      minMsPlayed,
+      Math.min(duration / 2, MAX_REQUIRED_MS),
+    );
+    if (msPlayed < required) {
+      ignored++;
+      continue;
+    }
+
+    // `ts` is when playback stopped; scrobbles are timestamped at the start
+    const startedAt = Math.floor((endedAt.getTime() - msPlayed) / 1000);
+
+    scrobbles.push({
+      name: trackTitle,
+      artist: { "#text": artistName },
+      album: { "#text": entry.master_metadata_album_album_name || "" },
+      url: getTrackUrl(entry.spotify_track_uri),
+      date: { uts: String(startedAt) },
+    });
+  }
+
+  return { scrobbles, ignored, invalid };
+}
+
+/**
+ * Check whether a history entry is a podcast episode or audiobook
+ * @param {object} entry - Streaming history entry
+ * @returns {boolean} - Whether the entry is not music
+ */
+function isPodcastOrAudiobook(entry) {
+  return Boolean(
+    entry?.spotify_episode_uri ||
+      entry?.episode_name ||
+      entry?.audiobook_uri ||
+      entry?.audiobook_title,
+  );
+}
+
+/**
+ * Get the open.spotify.com URL for a track URI
+ * @param {string} uri - Spotify URI, e.g. 'spotify:track:abc'
+ * @returns {string|null} - Track URL or null
+ */
+function getTrackUrl(uri) {
+  const id = uri?.startsWith("spotify:track:") && uri.slice(14);
+  return id ? `https://open.spotify.com/track/${id}` : null;
+}
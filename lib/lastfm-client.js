@@ -1,23 +1,92 @@
 import { IndiekitError } from "@indiekit/error";
+import { RateLimiter, sleep } from "./rate-limiter.js";
+import { responseCache } from "./cache.js";
 
 const API_BASE = "https://ws.audioscrobbler.com/2.0/";
 
+// Last.fm error codes: https://www.last.fm/api/errorcodes
+// Codes 8, 11, 16, 29 are transient/rate-limit errors
+const TRANSIENT_CODES = [8, 11, 16, 29];
+const RATE_LIMIT_CODE = 29;
+const MAX_RETRY_DELAY = 60_000;
+
+// Shared by every client so sync, dashboard and public routes queue together
+const limiter = new RateLimiter();
+const requestDefaults = {
+  retries: 3,
+  retryDelay: 1000,
+};
+
+/**
+ * Configure request handling for every client
+ * @param {object} [options] - Request options
+ * @param {number} [options.requestsPerSecond] - Client-wide request rate
+ * @param {number} [options.retries] - Retries for transient errors
+ * @param {number} [options.retryDelay] - Base retry delay in milliseconds
+ */
+export function configureRequests(options = {}) {
+  if (options.requestsPerSecond) {
+    limiter.setRate(options.requestsPerSecond);
+  }
+  if (options.retries !== undefined) {
+    requestDefaults.retries = options.retries;
+  }
+  if (options.retryDelay) {
+    requestDefaults.retryDelay = options.retryDelay;
+  }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} - Delay in milliseconds or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} - Whether the error is transient
+ */
+function isRetryable(error) {
+  // Network failures surface as TypeError from fetch
+  if (error instanceof TypeError) return true;
+  if (TRANSIENT_CODES.includes(Number(error.code))) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
 export class LastFmClient {
   /**
    * @param {object} options - Client options
    * @param {string} options.apiKey - Last.fm API key
    * @param {string} options.username - Last.fm username to fetch data for
-   * @param {number} [options.cacheTtl] - Cache TTL in milliseconds
+   * @param {number} [options.cacheTtl] - Maximum age of cached responses this client accepts (defaults to each method's TTL)
+   * @param {boolean} [options.bypassCache] - Neither read nor store cached responses, for bulk sync requests
+   * @param {number} [options.retries] - Retries for transient errors
+   * @param {number} [options.retryDelay] - Base retry delay in milliseconds
    */
   constructor(options = {}) {
     this.apiKey = options.apiKey;
     this.username = options.username;
-    this.cacheTtl = options.cacheTtl || 900_000;
-    this.cache = new Map();
+    this.cacheTtl = options.cacheTtl ?? Infinity;
+    this.bypassCache = options.bypassCache || false;
+    this.retries = options.retries ?? requestDefaults.retries;
+    this.retryDelay = options.retryDelay || requestDefaults.retryDelay;
+    this.pagesFetched = 0;
   }
 
   /**
    * Fetch from Last.fm API with caching
+   * Responses are cached in the response cache shared by every client
+   * Transient errors are retried with exponential backoff and jitter
    * @param {string} method - API method name
    * @param {object} [params] - Additional query parameters
    * @returns {Promise<object>} - Response data
@@ -35,14 +104,74 @@ export class LastFmClient {
       }
     });
 
-    const cacheKey = url.toString();
+    // Key on everything but the API key, which shouldn't end up in the store
+    const cacheKey = new URL(url);
+    cacheKey.searchParams.delete("api_key");
 
     // Check cache first
-    const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheTtl) {
-      return cached.data;
+    if (!this.bypassCache) {
+      const cached = await responseCache.get(
+        cacheKey.toString(),
+        this.cacheTtl,
+      );
+      if (cached) {
+        return cached;
+      }
+    }
+
+    let data;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await limiter.acquire();
+        data = await this.request(url);
+        break;
+      } catch (error) {
+        // Waiting longer than the cap would stall every queued request,
+        // so a Retry-After beyond it fails the call instead
+        if (
+          !isRetryable(error) ||
+          attempt >= this.retries ||
+          error.retryAfter > MAX_RETRY_DELAY
+        ) {
+          throw error;
+        }
+
+        // Honour Retry-After, otherwise back off exponentially with jitter
+        const backoff = Math.min(
+          this.retryDelay * 2 ** attempt,
+          MAX_RETRY_DELAY,
+        );
+        const delay = Math.min(
+          error.retryAfter ?? backoff / 2 + (Math.random() * backoff) / 2,
+          MAX_RETRY_DELAY,
+        );
+
+        // Everyone sharing the API key is over the limit, not just this call
+        if (error.code === String(RATE_LIMIT_CODE) || error.status === 429) {
+          limiter.pause(delay);
+        }
+
+        console.warn(
+          `[Last.fm] ${method} failed (${error.message}), retrying in ${Math.round(delay)}ms`,
+        );
+        await sleep(delay);
+      }
     }
 
+    // Cache result
+    if (!this.bypassCache) {
+      await responseCache.set(cacheKey.toString(), method, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Make a single request to the Last.fm API
+   * @param {URL} url - Request URL
+   * @returns {Promise<object>} - Response data
+   */
+  async request(url) {
     const response = await fetch(url.toString(), {
       headers: {
         Accept: "application/json",
@@ -54,29 +183,33 @@ export class LastFmClient {
     const contentType = response.headers.get("content-type") || "";
 
     if (!response.ok) {
+      let error;
       // Handle non-JSON error responses (e.g., HTML error pages)
       if (!contentType.includes("application/json")) {
         const text = await response.text();
         console.error("[Last.fm] Non-JSON error response:", text.slice(0, 200));
-        throw new IndiekitError(`Last.fm API returned ${response.status}: ${response.statusText || "Unknown Error"}`, {
+        error = new IndiekitError(`Last.fm API returned ${response.status}: ${response.statusText || "Unknown Error"}`, {
           status: response.status,
           code: "lastfm_api_error",
         });
-      }
-      // Parse error response with defensive handling
-      let errorBody;
-      try {
-        errorBody = await response.json();
-      } catch {
-        errorBody = {};
-      }
-      throw new IndiekitError(
-        errorBody.error_description || errorBody.message || `Last.fm API error ${response.status}`,
-        {
-          status: response.status,
-          code: String(errorBody.error || "lastfm_api_error"),
+      } else {
+        // Parse error response with defensive handling
+        let errorBody;
+        try {
+          errorBody = await response.json();
+        } catch {
+          errorBody = {};
         }
-      );
+        error = new IndiekitError(
+          errorBody.error_description || errorBody.message || `Last.fm API error ${response.status}`,
+          {
+            status: response.status,
+            code: String(errorBody.error || "lastfm_api_error"),
+          },
+        );
+      }
+      error.retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+      throw error;
     }
 
     // Handle non-JSON success responses (shouldn't happen but be safe)
@@ -90,22 +223,16 @@ export class LastFmClient {
 
     // Check for Last.fm API errors (returned as 200 OK with error in body)
     if (data.error) {
-      // Last.fm error codes: https://www.last.fm/api/errorcodes
-      // Codes 8, 11, 16, 29 are transient/rate-limit errors
-      const transientCodes = [8, 11, 16, 29];
-      const isTransient = transientCodes.includes(Number(data.error));
+      const isTransient = TRANSIENT_CODES.includes(Number(data.error));
       throw new IndiekitError(
         data.message || `Last.fm API error ${data.error}`,
         {
           status: isTransient ? 503 : 400,
           code: String(data.error),
-        }
+        },
       );
     }
 
-    // Cache result
-    this.cache.set(cacheKey, { data, timestamp: Date.now() });
-
     return data;
   }
 
@@ -127,6 +254,7 @@ export class LastFmClient {
     if (from) params.from = from;
     if (to) params.to = to;
 
+    this.pagesFetched++;
     return this.fetch("user.getRecentTracks", params);
   }
 
@@ -163,25 +291,57 @@ export class LastFmClient {
    * @returns {Promise<Array>} - New scrobbles
    */
   async getNewScrobbles(since) {
-    const fromTimestamp = Math.floor(since.getTime() / 1000);
-    const newScrobbles = [];
+    return this.getScrobblesInRange(since);
+  }
+
+  /**
+   * Get all scrobbles within a time window
+   * @param {Date} from - Window start
+   * @param {Date} [to] - Window end (defaults to now)
+   * @returns {Promise<Array>} - Scrobbles in the window
+   */
+  async getScrobblesInRange(from, to = null) {
+    const fromTimestamp = Math.floor(from.getTime() / 1000);
+    const toTimestamp = to ? Math.floor(to.getTime() / 1000) : null;
+    const scrobbles = [];
     let page = 1;
     let hasMore = true;
 
     while (hasMore) {
-      const response = await this.getRecentTracks(page, 200, fromTimestamp);
+      const response = await this.getRecentTracks(
+        page,
+        200,
+        fromTimestamp,
+        toTimestamp,
+      );
       const tracks = response.recenttracks?.track || [];
 
       // Filter out "now playing" track
       const scrobbledTracks = tracks.filter((t) => !t["@attr"]?.nowplaying);
-      newScrobbles.push(...scrobbledTracks);
+      scrobbles.push(...scrobbledTracks);
 
       const totalPages = parseInt(response.recenttracks?.["@attr"]?.totalPages) || 1;
       hasMore = page < totalPages;
       page++;
     }
 
-    return newScrobbles;
+    return scrobbles;
+  }
+
+  /**
+   * Count scrobbles within a time window without fetching them
+   * @param {Date} from - Window start
+   * @param {Date} to - Window end
+   * @returns {Promise<number>} - Number of scrobbles Last.fm has in the window
+   */
+  async getScrobbleCount(from, to) {
+    const response = await this.getRecentTracks(
+      1,
+      1,
+      Math.floor(from.getTime() / 1000),
+      Math.floor(to.getTime() / 1000),
+    );
+    return parseInt(response.recenttracks?.["@attr"]?.total) || 0;
   }
 
   /**
@@ -259,6 +419,19 @@ export class LastFmClient {
     });
   }
 
+  /**
+   * Get artist info, with the user's play count
+   * @param {string} artist - Artist name
+   * @returns {Promise<object>} - Artist info response
+   */
+  async getArtistInfo(artist) {
+    return this.fetch("artist.getInfo", {
+      artist,
+      username: this.username,
+      autocorrect: 1,
+    });
+  }
+
   /**
    * Get user info
    * @returns {Promise<object>} - User info response
@@ -292,9 +465,10 @@ export class LastFmClient {
   }
 
   /**
-   * Clear the cache
+   * Clear the shared response cache
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await responseCache.clear();
   }
 }
@@ -0,0 +1,167 @@
+import { createPost, trackCite } from "./micropub.js";
+import {
+  claimPublication,
+  completePublication,
+  findRetryablePublications,
+} from "./published.js";
+
+/**
+ * Build the Micropub properties of a like post
+ * @param {object} lovedTrack - Loved track document
+ * @param {object} rules - Like post options
+ * @returns {object} - Microformats2 properties
+ */
+export function likeProperties(lovedTrack, rules = {}) {
+  const properties = {
+    "like-of": [trackCite(lovedTrack)],
+  };
+  if (lovedTrack.lovedAt) {
+    properties.published = [lovedTrack.lovedAt.toISOString()];
+  }
+  if (rules.postStatus) properties["post-status"] = [rules.postStatus];
+
+  return properties;
+}
+
+/**
+ * Get the like posts state of an account
+ * `since` is when like posts were first enabled: loves from before then are
+ * old loves, only published when backfilling. `backfilledAt` is set once
+ * every old love has been claimed.
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account
+ * @returns {Promise<object>} - Cutoff date and backfill time
+ */
+async function getLikePostsState(db, username) {
+  const collection = db.collection("lastfmMeta");
+  const filter = { key: "likePosts", username };
+  await collection.updateOne(
+    filter,
+    { $setOnInsert: { since: new Date() } },
+    { upsert: true },
+  );
+  return collection.findOne(filter);
+}
+
+/**
+ * Find loved tracks whose like post failed and can be tried again
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account
+ * @returns {Promise<Array>} - Loved track documents
+ */
+async function findRetries(db, username) {
+  const keys = await findRetryablePublications(db, "like", { username });
+  if (keys.length === 0) return [];
+
+  return db
+    .collection("lovedTracks")
+    .find({
+      username,
+      unlovedAt: null,
+      $expr: {
+        $in: [
+          {
+            $concat: [
+              { $literal: username },
+              ":",
+              "$artistName",
+              ":",
+              "$trackTitle",
+            ],
+          },
+          keys,
+        ],
+      },
+    })
+    .toArray();
+}
+
+/**
+ * Publish loved tracks as like posts
+ *
+ * Without `backfill`, only tracks loved after like posts were enabled are
+ * published. With it, every loved track not yet published is, once; later
+ * syncs only look at new loves. Each track is claimed in `lastfmPublished`
+ * before posting, so it is never liked twice, even if it is unloved and
+ * loved again, and tracks whose post failed are tried again.
+ * @param {object} db - MongoDB database instance
+ * @param {object} micropub - Endpoint URL and token (see getMicropubConfig)
+ * @param {string} username - Account
+ * @param {Array} newLoves - Loved track documents found by this sync
+ * @param {object} rules - Like post options
+ * @param {boolean} [rules.backfill] - Also publish tracks loved earlier
+ * @param {string} [rules.postStatus] - 'published' or 'draft'
+ * @returns {Promise<object>} - Published, skipped and failed counts
+ */
+export async function publishLikes(db, micropub, username, newLoves, rules = {}) {
+  const result = { published: 0, skipped: 0, failed: 0 };
+
+  const state = await getLikePostsState(db, username);
+  const backfilling = rules.backfill && !state.backfilledAt;
+
+  let candidates;
+  if (backfilling) {
+    candidates = await db
+      .collection("lovedTracks")
+      .find({ username, unlovedAt: null })
+      .toArray();
+  } else if (rules.backfill) {
+    candidates = newLoves;
+  } else {
+    candidates = newLoves.filter((doc) => doc.lovedAt >= state.since);
+  }
+
+  // Leave out what is already in the ledger before claiming anything
+  const keyOf = (doc) => `${username}:${doc.artistName}:${doc.trackTitle}`;
+  const done = await db
+    .collection("lastfmPublished")
+    .distinct("key", { type: "like", key: { $in: candidates.map(keyOf) } });
+  const published = new Set(done);
+
+  const retries = await findRetries(db, username);
+  const oldestFirst = [
+    ...retries,
+    ...candidates.filter((doc) => !published.has(keyOf(doc))),
+  ].sort((a, b) => a.lovedAt - b.lovedAt);
+
+  for (const lovedTrack of oldestFirst) {
+    const key = keyOf(lovedTrack);
+    const claimed = await claimPublication(db, "like", key, {
+      username,
+      lovedAt: lovedTrack.lovedAt,
+    });
+    if (!claimed) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const url = await createPost(micropub, likeProperties(lovedTrack, rules));
+      await completePublication(db, "like", key, { url });
+      result.published++;
+    } catch (err) {
+      console.error("[Last.fm] Like post failed:", err.message);
+      await completePublication(db, "like", key, { error: err });
+      result.failed++;
+    }
+  }
+
+  // Failed posts are retried from the ledger, so the backlog is done
+  if (backfilling) {
+    await db
+      .collection("lastfmMeta")
+      .updateOne(
+        { key: "likePosts", username },
+        { $set: { backfilledAt: new Date() } },
+      );
+  }
+
+  if (result.published || result.failed) {
+    console.log(
+      `[Last.fm] Like posts for ${username}: ${result.published} published, ` +
+        `${result.failed} failed, ${result.skipped} skipped`,
+    );
+  }
+
+  return result;
+}
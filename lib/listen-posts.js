@@ -0,0 +1,149 @@
+import { createPost, trackCite } from "./micropub.js";
+import {
+  claimPublication,
+  completePublication,
+  countPublishedSince,
+  findRetryablePublications,
+} from "./published.js";
+import { startOfPeriod } from "./dates.js";
+
+/**
+ * Check whether a scrobble is the first listen of its artist
+ * @param {object} collection - Scrobbles collection
+ * @param {object} scrobble - Scrobble document
+ * @returns {Promise<boolean>} - Whether no earlier scrobble has the artist
+ */
+async function isNewArtist(collection, scrobble) {
+  const earlier = await collection.findOne(
+    {
+      username: scrobble.username,
+      artistName: scrobble.artistName,
+      scrobbledAt: { $lt: scrobble.scrobbledAt },
+      deletedAt: null,
+    },
+    { projection: { _id: 1 } },
+  );
+  return !earlier;
+}
+
+/**
+ * Build the Micropub properties of a listen post
+ * @param {object} scrobble - Scrobble document
+ * @param {object} rules - Listen post options
+ * @returns {object} - Microformats2 properties
+ */
+export function listenProperties(scrobble, rules = {}) {
+  const properties = {
+    published: [scrobble.scrobbledAt.toISOString()],
+    "listen-of": [trackCite(scrobble)],
+    content: [`Listened to ${scrobble.trackTitle} by ${scrobble.artistName}`],
+  };
+  if (rules.postStatus) properties["post-status"] = [rules.postStatus];
+
+  return properties;
+}
+
+/**
+ * Find scrobbles whose listen post failed and can be tried again
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account
+ * @returns {Promise<Array>} - Scrobble documents
+ */
+async function findRetries(db, username) {
+  const keys = await findRetryablePublications(db, "listen", { username });
+  if (keys.length === 0) return [];
+
+  // Keys are `${username}:${lastfmId}`
+  const lastfmIds = keys.map((key) => key.slice(username.length + 1));
+  return db
+    .collection("scrobbles")
+    .find({ username, lastfmId: { $in: lastfmIds }, deletedAt: null })
+    .toArray();
+}
+
+/**
+ * Publish newly synced scrobbles as listen posts
+ *
+ * Only scrobbles found by incremental sync are passed in, so backfills and
+ * imports never flood the site. Each scrobble is claimed in
+ * `lastfmPublished` before posting, so it is never published twice, and
+ * scrobbles whose post failed, or was cut short by a restart, are tried
+ * again. `maxPerDay` applies to each account separately.
+ * @param {object} db - MongoDB database instance
+ * @param {object} micropub - Endpoint URL and token (see getMicropubConfig)
+ * @param {string} username - Account
+ * @param {Array} scrobbles - New scrobble documents
+ * @param {object} rules - Listen post options
+ * @param {boolean} [rules.lovedOnly] - Only publish loved tracks
+ * @param {boolean} [rules.newArtistsOnly] - Only publish the first listen of an artist
+ * @param {number} [rules.maxPerDay] - Posts per day (0 for no limit)
+ * @param {string} [rules.postStatus] - 'published' or 'draft'
+ * @param {string} [timezone] - IANA timezone that decides when a day starts
+ * @returns {Promise<object>} - Published, skipped and failed counts
+ */
+export async function publishListens(
+  db,
+  micropub,
+  username,
+  scrobbles,
+  rules = {},
+  timezone = "UTC",
+) {
+  const collection = db.collection("scrobbles");
+  const result = { published: 0, skipped: 0, failed: 0 };
+
+  let remaining = Infinity;
+  if (rules.maxPerDay > 0) {
+    const today = startOfPeriod("today", timezone);
+    const published = await countPublishedSince(db, "listen", today, {
+      username,
+    });
+    remaining = rules.maxPerDay - published;
+  }
+
+  const retries = await findRetries(db, username);
+  const oldestFirst = [...retries, ...scrobbles].sort(
+    (a, b) => a.scrobbledAt - b.scrobbledAt,
+  );
+
+  for (const scrobble of oldestFirst) {
+    if (
+      remaining <= 0 ||
+      (rules.lovedOnly && !scrobble.loved) ||
+      (rules.newArtistsOnly && !(await isNewArtist(collection, scrobble)))
+    ) {
+      result.skipped++;
+      continue;
+    }
+
+    const key = `${scrobble.username}:${scrobble.lastfmId}`;
+    const claimed = await claimPublication(db, "listen", key, {
+      username: scrobble.username,
+      scrobbledAt: scrobble.scrobbledAt,
+    });
+    if (!claimed) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const url = await createPost(micropub, listenProperties(scrobble, rules));
+      await completePublication(db, "listen", key, { url });
+      result.published++;
+      remaining--;
+    } catch (err) {
+      console.error("[Last.fm] Listen post failed:", err.message);
+      await completePublication(db, "listen", key, { error: err });
+      result.failed++;
+    }
+  }
+
+  if (result.published || result.failed) {
+    console.log(
+      `[Last.fm] Listen posts: ${result.published} published, ` +
+        `${result.failed} failed, ${result.skipped} skipped`,
+    );
+  }
+
+  return result;
+}
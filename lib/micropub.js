@@ -0,0 +1,77 @@
+import { IndiekitError } from "@indiekit/error";
+
+/**
+ * Resolve the Micropub endpoint and token used to create posts
+ * @param {object} Indiekit - Indiekit instance (or object with `config`)
+ * @param {object} options - Plugin options
+ * @returns {object|null} - Endpoint URL and token, or null if unavailable
+ */
+export function getMicropubConfig(Indiekit, options) {
+  const application = Indiekit.config?.application || {};
+  const token = options.micropub?.token;
+  const endpoint = options.micropub?.endpoint || application.micropubEndpoint;
+
+  if (!token || !endpoint) return null;
+
+  try {
+    // Indiekit's own endpoint is a path relative to the server
+    return { endpoint: new URL(endpoint, application.url).href, token };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Create a post through a Micropub endpoint
+ * @param {object} micropub - Endpoint URL and token (see getMicropubConfig)
+ * @param {object} properties - Microformats2 properties (values as arrays)
+ * @returns {Promise<string|null>} - URL of the created post, if returned
+ */
+export async function createPost(micropub, properties) {
+  const response = await fetch(micropub.endpoint, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${micropub.token}`,
+      "Content-Type": "application/json",
+      "User-Agent": "indiekit-endpoint-lastfm/1.0.0",
+    },
+    body: JSON.stringify({ type: ["h-entry"], properties }),
+  });
+
+  if (!response.ok) {
+    let body = {};
+    try {
+      body = await response.json();
+    } catch {
+      // Not every endpoint describes its errors in JSON
+    }
+    throw new IndiekitError(
+      body.error_description ||
+        `Micropub endpoint returned ${response.status}`,
+      {
+        status: response.status,
+        code: body.error || "micropub_error",
+      },
+    );
+  }
+
+  return response.headers.get("location");
+}
+
+/**
+ * Build an h-cite describing a track
+ * @param {object} scrobble - Scrobble or loved track document
+ * @returns {object} - h-cite with name, author, album, url and photo
+ */
+export function trackCite(scrobble) {
+  const properties = {
+    name: [scrobble.trackTitle],
+    author: [{ type: ["h-card"], properties: { name: [scrobble.artistName] } }],
+  };
+  if (scrobble.albumTitle) properties.album = [scrobble.albumTitle];
+  if (scrobble.trackUrl) properties.url = [scrobble.trackUrl];
+  if (scrobble.coverUrl) properties.photo = [scrobble.coverUrl];
+
+  return { type: ["h-cite"], properties };
+}
@@ -0,0 +1,173 @@
+const BATCH_SIZE = 1000;
+
+/**
+ * Schema migrations, applied in order of version
+ * Each migration must be safe to re-run if it is interrupted.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Store scrobble scrobbledAt and syncedAt as BSON dates",
+    up: convertScrobbleDates,
+  },
+  {
+    version: 2,
+    description: "Tag existing scrobbles with their source",
+    up: tagScrobbleSources,
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.at(-1).version;
+
+let pending = null;
+let migrated = false;
+
+/**
+ * Get the schema version recorded in the database
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<number>} - Schema version (0 before any migration)
+ */
+export async function getSchemaVersion(db) {
+  const schema = await db.collection("lastfmMeta").findOne({ key: "schema" });
+  return schema?.version || 0;
+}
+
+/**
+ * Apply pending migrations
+ * Concurrent callers share one run; once the schema is current this is a no-op.
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+export async function runMigrations(db) {
+  if (migrated) return;
+
+  pending ||= applyMigrations(db).finally(() => {
+    pending = null;
+  });
+  await pending;
+  migrated = true;
+}
+
+/**
+ * Apply every migration newer than the recorded schema version
+ * The version is recorded after each migration, so an interrupted run
+ * resumes at the migration that failed.
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+async function applyMigrations(db) {
+  const meta = db.collection("lastfmMeta");
+  const current = await getSchemaVersion(db);
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+
+    console.log(
+      `[Last.fm] Running migration ${migration.version}: ${migration.description}`,
+    );
+    const startedAt = Date.now();
+    const result = await migration.up(db);
+
+    await meta.updateOne(
+      { key: "schema" },
+      {
+        $set: { version: migration.version, updatedAt: new Date() },
+        $push: {
+          history: {
+            version: migration.version,
+            description: migration.description,
+            result,
+            durationMs: Date.now() - startedAt,
+            appliedAt: new Date(),
+          },
+        },
+      },
+      { upsert: true },
+    );
+
+    console.log(
+      `[Last.fm] Migration ${migration.version} complete:`,
+      JSON.stringify(result),
+    );
+  }
+}
+
+/**
+ * Migration 1: convert ISO string timestamps on scrobbles to BSON dates
+ *
+ * Scrobbles were stored with string `scrobbledAt` for a while, alongside
+ * older documents holding dates. Where the same scrobble exists in both
+ * forms, the converted copy would break the unique index, so the string
+ * copy is deleted instead.
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} - Converted and removed counts
+ */
+async function convertScrobbleDates(db) {
+  const collection = db.collection("scrobbles");
+  const filter = {
+    $or: [
+      { scrobbledAt: { $type: "string" } },
+      { syncedAt: { $type: "string" } },
+    ],
+  };
+  const result = { converted: 0, removed: 0 };
+
+  for (;;) {
+    const docs = await collection
+      .find(filter, { projection: { scrobbledAt: 1, syncedAt: 1 } })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (docs.length === 0) break;
+
+    const operations = docs.map((doc) => ({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: {
+          $set: {
+            scrobbledAt: new Date(doc.scrobbledAt),
+            ...(doc.syncedAt && { syncedAt: new Date(doc.syncedAt) }),
+          },
+        },
+      },
+    }));
+
+    try {
+      const { modifiedCount } = await collection.bulkWrite(operations, {
+        ordered: false,
+      });
+      result.converted += modifiedCount;
+    } catch (err) {
+      const writeErrors = err.writeErrors || [];
+      const duplicates = writeErrors.filter(
+        (writeError) => writeError.code === 11000,
+      );
+      if (duplicates.length === 0 || duplicates.length < writeErrors.length) {
+        throw err;
+      }
+
+      result.converted += err.result?.modifiedCount || 0;
+
+      // The date copy of each duplicate is already stored
+      const ids = duplicates.map(({ index }) => docs[index]._id);
+      const { deletedCount } = await collection.deleteMany({
+        _id: { $in: ids },
+      });
+      result.removed += deletedCount;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Migration 2: tag scrobbles stored before imports existed as Last.fm ones
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} - Tagged count
+ */
+async function tagScrobbleSources(db) {
+  const { modifiedCount } = await db
+    .collection("scrobbles")
+    .updateMany({ source: { $exists: false } }, { $set: { source: "lastfm" } });
+
+  return { tagged: modifiedCount };
+}
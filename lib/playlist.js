@@ -0,0 +1,141 @@
+import { escapeXml } from "./utils.js";
+
+/**
+ * JSPF extension key used by MusicBrainz and ListenBrainz for extra MBIDs
+ */
+const MUSICBRAINZ_EXTENSION = "https://musicbrainz.org/doc/jspf#track";
+
+/**
+ * Content types for each playlist format
+ */
+export const PLAYLIST_FORMATS = {
+  xspf: "application/xspf+xml; charset=utf-8",
+  jspf: "application/json; charset=utf-8",
+};
+
+/**
+ * Convert a formatted track into a playlist track
+ * Accepts what formatLovedTrack, formatScrobble, formatTopTrack and
+ * getTopTracksFromDb produce.
+ * @param {object} item - Formatted track
+ * @returns {object} - Playlist track
+ */
+export function toPlaylistTrack(item) {
+  const url = item.trackUrl || item.url || null;
+
+  return {
+    title: item.track,
+    creator: item.artist,
+    album: item.album || null,
+    location: url ? [url] : [],
+    identifier: item.mbid
+      ? [`https://musicbrainz.org/recording/${item.mbid}`]
+      : [],
+    image: item.coverUrl || null,
+    info: url,
+    artistIdentifiers: item.artistMbid
+      ? [`https://musicbrainz.org/artist/${item.artistMbid}`]
+      : [],
+    releaseIdentifier: item.albumMbid
+      ? `https://musicbrainz.org/release/${item.albumMbid}`
+      : null,
+  };
+}
+
+/**
+ * Render an XML element, or nothing for empty values
+ * @param {string} name - Element name
+ * @param {string} [value] - Element content
+ * @param {string} [indent] - Leading whitespace
+ * @param {string} [attributes] - Pre-escaped attributes
+ * @returns {string} - Element line
+ */
+function element(name, value, indent, attributes = "") {
+  if (value === null || value === undefined || value === "") return "";
+  return `${indent}<${name}${attributes}>${escapeXml(value)}</${name}>\n`;
+}
+
+/**
+ * Render a playlist as XSPF
+ * @param {object} playlist - Playlist with title, creator, annotation, date and tracks
+ * @returns {string} - XSPF document
+ */
+export function toXspf(playlist) {
+  const tracks = playlist.tracks.map((track) => {
+    const indent = "      ";
+    return (
+      "    <track>\n" +
+      track.location.map((url) => element("location", url, indent)).join("") +
+      track.identifier.map((id) => element("identifier", id, indent)).join("") +
+      element("title", track.title, indent) +
+      element("creator", track.creator, indent) +
+      element("info", track.info, indent) +
+      element("image", track.image, indent) +
+      element("album", track.album, indent) +
+      track.artistIdentifiers
+        .map((id) =>
+          element("link", id, indent, ' rel="https://musicbrainz.org/artist"'),
+        )
+        .join("") +
+      element(
+        "link",
+        track.releaseIdentifier,
+        indent,
+        ' rel="https://musicbrainz.org/release"',
+      ) +
+      "    </track>\n"
+    );
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+    element("title", playlist.title, "  ") +
+    element("creator", playlist.creator, "  ") +
+    element("annotation", playlist.annotation, "  ") +
+    element("date", playlist.date, "  ") +
+    "  <trackList>\n" +
+    tracks.join("") +
+    "  </trackList>\n" +
+    "</playlist>\n"
+  );
+}
+
+/**
+ * Render a playlist as JSPF
+ * @param {object} playlist - Playlist with title, creator, annotation, date and tracks
+ * @returns {object} - JSPF document
+ */
+export function toJspf(playlist) {
+  return {
+    playlist: {
+      title: playlist.title,
+      creator: playlist.creator,
+      annotation: playlist.annotation,
+      date: playlist.date,
+      track: playlist.tracks.map((track) => {
+        const jspfTrack = {
+          location: track.location,
+          identifier: track.identifier,
+          title: track.title,
+          creator: track.creator,
+        };
+        if (track.album) jspfTrack.album = track.album;
+        if (track.image) jspfTrack.image = track.image;
+        if (track.info) jspfTrack.info = track.info;
+
+        if (track.artistIdentifiers.length > 0 || track.releaseIdentifier) {
+          jspfTrack.extension = {
+            [MUSICBRAINZ_EXTENSION]: {
+              artist_identifiers: track.artistIdentifiers,
+              ...(track.releaseIdentifier && {
+                release_identifier: track.releaseIdentifier,
+              }),
+            },
+          };
+        }
+        return jspfTrack;
+      }),
+    },
+  };
+}
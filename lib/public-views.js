@@ -0,0 +1,38 @@
+import { fileURLToPath } from "node:url";
+import nunjucks from "nunjucks";
+import { formatDate, parseDate } from "./utils.js";
+
+const viewsDirectory = fileURLToPath(new URL("../views", import.meta.url));
+
+// One environment per override setting, so templates are only compiled once
+const environments = new Map();
+
+/**
+ * Get the Nunjucks environment for public pages
+ * Directories in `overrides` are searched before the plugin's own views, so
+ * a site can replace `listening/layout.njk` or any single page template.
+ * @param {string|Array<string>} [overrides] - Site template directories
+ * @returns {object} - Nunjucks environment
+ */
+export function getPublicViews(overrides) {
+  const directories = [overrides || []].flat();
+  const key = directories.join("\u0000");
+
+  if (!environments.has(key)) {
+    const loader = new nunjucks.FileSystemLoader([
+      ...directories,
+      viewsDirectory,
+    ]);
+    const environment = new nunjucks.Environment(loader, { autoescape: true });
+    environment.addFilter("date", (value) => formatDate(value));
+    environment.addFilter(
+      "dateTime",
+      (value) =>
+        `${formatDate(value)}, ${parseDate(value).toLocaleTimeString("en", { hour: "2-digit", minute: "2-digit" })}`,
+    );
+    environment.addFilter("isoDate", (value) => parseDate(value).toISOString());
+    environments.set(key, environment);
+  }
+
+  return environments.get(key);
+}
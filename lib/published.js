@@ -0,0 +1,145 @@
+/**
+ * Record of posts created through Micropub, so restarts and re-syncs never
+ * publish the same thing twice
+ */
+
+/**
+ * Attempts at a publication before it is given up
+ */
+export const MAX_ATTEMPTS = 5;
+
+// A claim still pending after this long was left behind by a crash
+const PENDING_TIMEOUT = 15 * 60_000;
+
+/**
+ * Match publications that can be claimed again: failed ones, and pending
+ * ones abandoned mid-publish, that have attempts left
+ * @returns {object} - MongoDB filter
+ */
+function retryableFilter() {
+  return {
+    $or: [
+      { status: "failed" },
+      {
+        status: "pending",
+        claimedAt: { $lt: new Date(Date.now() - PENDING_TIMEOUT) },
+      },
+    ],
+    attempts: { $not: { $gte: MAX_ATTEMPTS } },
+  };
+}
+
+/**
+ * Get the published posts collection, creating its indexes
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} - MongoDB collection
+ */
+async function getCollection(db) {
+  const collection = db.collection("lastfmPublished");
+  await collection.createIndex({ type: 1, key: 1 }, { unique: true });
+  await collection.createIndex({ type: 1, claimedAt: -1 });
+  return collection;
+}
+
+/**
+ * Claim something for publishing
+ * A failed publication, or one left pending for longer than a publish can
+ * take, can be claimed again until it has had MAX_ATTEMPTS; published and
+ * recently claimed ones can't.
+ * @param {object} db - MongoDB database instance
+ * @param {string} type - Post type, e.g. 'listen'
+ * @param {string} key - Unique key of what is published
+ * @param {object} [data] - Extra fields to record
+ * @returns {Promise<boolean>} - False if it was already claimed
+ */
+export async function claimPublication(db, type, key, data = {}) {
+  const collection = await getCollection(db);
+  try {
+    await collection.insertOne({
+      ...data,
+      type,
+      key,
+      status: "pending",
+      attempts: 1,
+      claimedAt: new Date(),
+    });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  // Only one caller can move a retryable entry back to pending
+  const { modifiedCount } = await collection.updateOne(
+    { type, key, ...retryableFilter() },
+    {
+      $set: { ...data, status: "pending", claimedAt: new Date() },
+      $inc: { attempts: 1 },
+      $unset: { error: "" },
+    },
+  );
+  return modifiedCount === 1;
+}
+
+/**
+ * Give up a claim without publishing, so it can be claimed again later
+ * @param {object} db - MongoDB database instance
+ * @param {string} type - Post type
+ * @param {string} key - Unique key of what was claimed
+ * @returns {Promise<void>}
+ */
+export async function releasePublication(db, type, key) {
+  const collection = await getCollection(db);
+  await collection.deleteOne({ type, key, status: "pending" });
+}
+
+/**
+ * Find the keys of failed or abandoned publications that can be tried again
+ * @param {object} db - MongoDB database instance
+ * @param {string} type - Post type
+ * @param {object} [filter] - Extra conditions, e.g. { username }
+ * @returns {Promise<Array<string>>} - Publication keys
+ */
+export async function findRetryablePublications(db, type, filter = {}) {
+  const collection = await getCollection(db);
+  return collection.distinct("key", { ...filter, type, ...retryableFilter() });
+}
+
+/**
+ * Record the outcome of a claimed publication
+ * @param {object} db - MongoDB database instance
+ * @param {string} type - Post type
+ * @param {string} key - Unique key of what was published
+ * @param {object} outcome - Post URL, or the error if it failed
+ * @param {string} [outcome.url] - URL of the created post
+ * @param {Error} [outcome.error] - Error creating the post
+ * @returns {Promise<void>}
+ */
+export async function completePublication(db, type, key, outcome) {
+  const collection = await getCollection(db);
+  await collection.updateOne(
+    { type, key },
+    {
+      $set: outcome.error
+        ? { status: "failed", error: outcome.error.message }
+        : { status: "published", url: outcome.url, publishedAt: new Date() },
+    },
+  );
+}
+
+/**
+ * Count publications of a type claimed since a time
+ * @param {object} db - MongoDB database instance
+ * @param {string} type - Post type
+ * @param {Date} since - Start time
+ * @param {object} [filter] - Extra conditions, e.g. { username }
+ * @returns {Promise<number>} - Number of posts
+ */
+export async function countPublishedSince(db, type, since, filter = {}) {
+  const collection = await getCollection(db);
+  return collection.countDocuments({
+    ...filter,
+    type,
+    status: { $ne: "failed" },
+    claimedAt: { $gte: since },
+  });
+}
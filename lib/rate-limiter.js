@@ -0,0 +1,58 @@
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(ms, 0)));
+}
+
+/**
+ * Spaces requests out so they stay under a per-second limit
+ * Callers queue in the order they ask for a slot.
+ */
+export class RateLimiter {
+  /**
+   * @param {object} [options] - Limiter options
+   * @param {number} [options.requestsPerSecond] - Maximum request rate
+   */
+  constructor(options = {}) {
+    this.setRate(options.requestsPerSecond || 4);
+    this.nextSlot = 0;
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Change the request rate
+   * @param {number} requestsPerSecond - Maximum request rate
+   */
+  setRate(requestsPerSecond) {
+    this.interval = 1000 / requestsPerSecond;
+  }
+
+  /**
+   * Wait until a request may be made
+   * @returns {Promise<void>}
+   */
+  async acquire() {
+    for (;;) {
+      const slot = Math.max(Date.now(), this.nextSlot);
+      this.nextSlot = slot + this.interval;
+      await sleep(slot - Date.now());
+
+      // A pause may have started while this caller was queued: wait it out,
+      // then queue again so the waiting callers stay spaced apart
+      if (this.pausedUntil <= Date.now()) return;
+      await sleep(this.pausedUntil - Date.now());
+    }
+  }
+
+  /**
+   * Hold back every request for a while, e.g. after a rate limit error
+   * @param {number} ms - Milliseconds to pause for
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.nextSlot = Math.max(this.nextSlot, this.pausedUntil);
+  }
+}
@@ -0,0 +1,459 @@
+import { LastFmClient } from "./lastfm-client.js";
+import { getEffectiveConfig } from "./config.js";
+import {
+  saveScrobbles,
+  syncLovedTracks,
+  transformScrobble,
+} from "./sync.js";
+import { runMigrations } from "./migrations.js";
+import { getMicropubConfig } from "./micropub.js";
+import { publishLikes } from "./like-posts.js";
+import { pingChangedFeeds } from "./websub.js";
+import { recordSyncRun } from "./sync-history.js";
+
+const DAY_MS = 86_400_000;
+
+let repairInterval = null;
+let repairRunning = false;
+
+/**
+ * Start scheduled gap repair
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin options
+ */
+export function startRepair(Indiekit, options) {
+  const intervalMs = options.repairInterval || 86_400_000; // Daily default
+
+  repairInterval = setInterval(() => {
+    runRepair(Indiekit, options).catch((err) => {
+      console.error("[Last.fm] Repair error:", err.message);
+    });
+  }, intervalMs);
+
+  console.log(
+    `[Last.fm] Gap repair scheduled (interval: ${intervalMs / 1000}s)`,
+  );
+}
+
+/**
+ * Stop scheduled gap repair
+ */
+export function stopRepair() {
+  if (repairInterval) {
+    clearInterval(repairInterval);
+    repairInterval = null;
+  }
+}
+
+/**
+ * Check whether a repair is in progress
+ * @returns {boolean} - Whether a repair is running
+ */
+export function isRepairRunning() {
+  return repairRunning;
+}
+
+/**
+ * Run a single reconcile and gap repair for every configured account
+ * @param {object} Indiekit - Indiekit instance (or {database} object)
+ * @param {object} options - Plugin options
+ * @returns {Promise<object>} - Combined repair report
+ */
+export async function runRepair(Indiekit, options) {
+  const db = Indiekit.database;
+  if (!db) {
+    return { repaired: 0, error: "No database" };
+  }
+
+  const { apiKey, usernames } = await getEffectiveConfig(db, options);
+  if (!apiKey || usernames.length === 0) {
+    return { repaired: 0, error: "Not configured" };
+  }
+
+  if (repairRunning) {
+    return { repaired: 0, error: "Repair already running" };
+  }
+
+  const startedAt = new Date();
+  const result = {
+    checkedDays: 0,
+    mismatchedDays: [],
+    repaired: 0,
+    reconciled: { deleted: 0, edited: 0, restored: 0, inserted: 0 },
+    accounts: {},
+    errors: [],
+  };
+  const runs = [];
+
+  let lovedChanges = 0;
+  const likePosts = options.likePosts?.enabled;
+  const micropub = likePosts ? getMicropubConfig(Indiekit, options) : null;
+  repairRunning = true;
+  try {
+    await runMigrations(db);
+
+    // One failing account should not hold up the others
+    for (const username of usernames) {
+      // Day counts are meaningless until the whole history is local
+      const backfill = await db
+        .collection("lastfmMeta")
+        .findOne({ key: "backfill", username });
+      if (!backfill?.completedAt) {
+        console.log(
+          `[Last.fm] Backfill not complete for ${username}, skipping repair`,
+        );
+        continue;
+      }
+
+      const client = new LastFmClient({
+        apiKey,
+        username,
+        bypassCache: true,
+      });
+      const run = { username, inserted: 0, updated: 0, skipped: 0 };
+      runs.push(run);
+
+      try {
+        const reconciled = await reconcileScrobbles(db, client, {
+          days: options.reconcileDays,
+        });
+        for (const [key, count] of Object.entries(reconciled)) {
+          result.reconciled[key] += count;
+        }
+        run.inserted += reconciled.inserted;
+        run.updated += reconciled.edited + reconciled.restored;
+
+        const report = await repairGaps(db, client, {
+          days: options.repairDays,
+        });
+        result.checkedDays += report.checkedDays;
+        result.mismatchedDays.push(
+          ...report.mismatchedDays.map((day) => ({ ...day, username })),
+        );
+        result.repaired += report.repaired;
+        run.inserted += report.repaired;
+
+        // Regular syncs only fetch new loves; the full list reveals unloves
+        const { loved, unloved, newLoves } = await syncLovedTracks(
+          db,
+          client,
+          { full: true },
+        );
+        lovedChanges += loved + unloved;
+
+        // Loves found here count as known from now on, so post them here
+        if (micropub) {
+          await publishLikes(
+            db,
+            micropub,
+            username,
+            newLoves,
+            options.likePosts,
+          ).catch((err) => {
+            console.error("[Last.fm] Failed to publish likes:", err.message);
+          });
+        }
+
+        result.accounts[username] = {
+          ...report,
+          reconciled,
+          lovedTracks: { loved, unloved },
+        };
+      } catch (err) {
+        console.error(`[Last.fm] Repair error for ${username}:`, err.message);
+        result.errors.push({ username, message: err.message });
+      } finally {
+        run.pagesFetched = client.pagesFetched;
+      }
+    }
+  } catch (err) {
+    console.error("[Last.fm] Repair failed:", err.message);
+    result.errors.push({ message: err.message });
+  } finally {
+    repairRunning = false;
+  }
+
+  const finishedAt = new Date();
+  const sum = (field) => runs.reduce((total, run) => total + run[field], 0);
+  const failed = result.errors.length;
+  await recordSyncRun(db, {
+    trigger: "repair",
+    status:
+      failed === 0 ? "success" : failed >= runs.length ? "failed" : "partial",
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    pagesFetched: sum("pagesFetched"),
+    inserted: sum("inserted"),
+    updated: sum("updated"),
+    skipped: 0,
+    accounts: runs,
+    errors: result.errors,
+  }).catch((err) => {
+    console.error("[Last.fm] Failed to record repair run:", err.message);
+  });
+
+  // Deletions, edits and repaired gaps change the feeds too
+  const scrobbleChanges = Object.values(result.reconciled).reduce(
+    (total, count) => total + count,
+    result.repaired,
+  );
+  pingChangedFeeds(
+    Indiekit,
+    options,
+    { scrobbles: scrobbleChanges, loved: lovedChanges },
+    usernames,
+  ).catch((err) => {
+    console.warn("[Last.fm] WebSub ping failed:", err.message);
+  });
+
+  return result;
+}
+
+/**
+ * Compare per-day scrobble counts with Last.fm and re-fetch mismatched days
+ *
+ * Catches scrobbles that incremental sync never sees: late submissions from
+ * offline devices (timestamped before the latest stored scrobble) and
+ * inserts that failed. Only complete UTC days are checked.
+ * @param {object} db - MongoDB database instance
+ * @param {LastFmClient} client - Last.fm API client
+ * @param {object} [options] - Repair options
+ * @param {number} [options.days] - Number of past days to check
+ * @returns {Promise<object>} - Repair report
+ */
+export async function repairGaps(db, client, options = {}) {
+  const days = options.days || 30;
+  const collection = db.collection("scrobbles");
+  const { username } = client;
+
+  const userRes = await client.getUserInfo();
+  const report = {
+    remoteTotal: parseInt(userRes.user?.playcount) || 0,
+    localTotal: await collection.countDocuments({
+      username,
+      source: "lastfm",
+      deletedAt: null,
+    }),
+    checkedDays: 0,
+    mismatchedDays: [],
+    repaired: 0,
+  };
+
+  if (report.remoteTotal === report.localTotal) {
+    console.log(`[Last.fm] Scrobble counts match for ${username}`);
+    return report;
+  }
+
+  const end = new Date();
+  end.setUTCHours(0, 0, 0, 0);
+  const start = new Date(end.getTime() - days * DAY_MS);
+
+  const localCounts = await collection
+    .aggregate([
+      {
+        $match: {
+          scrobbledAt: { $gte: start, $lt: end },
+          username,
+          source: "lastfm",
+          deletedAt: null,
+        },
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$scrobbledAt",
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+  const localByDay = new Map(localCounts.map((d) => [d._id, d.count]));
+
+  for (let day = start; day < end; day = new Date(day.getTime() + DAY_MS)) {
+    const date = day.toISOString().slice(0, 10);
+    const dayEnd = new Date(day.getTime() + DAY_MS - 1000);
+    const remote = await client.getScrobbleCount(day, dayEnd);
+    const local = localByDay.get(date) || 0;
+    report.checkedDays++;
+
+    if (remote === local) continue;
+
+    let inserted = 0;
+    if (remote > local) {
+      const scrobbles = await client.getScrobblesInRange(day, dayEnd);
+      ({ inserted } = await saveScrobbles(
+        collection,
+        scrobbles.map((s) => transformScrobble(s, username)),
+      ));
+      report.repaired += inserted;
+    }
+
+    report.mismatchedDays.push({ date, local, remote, inserted });
+  }
+
+  console.log(
+    `[Last.fm] Repair for ${username} checked ${report.checkedDays} days, ` +
+      `${report.mismatchedDays.length} mismatched, ` +
+      `${report.repaired} scrobbles repaired`,
+  );
+
+  return report;
+}
+
+/**
+ * Reconcile recent scrobbles with Last.fm
+ *
+ * Sync only ever upserts, so scrobbles deleted or edited on Last.fm would
+ * otherwise stay as they were. Within the trailing window, scrobbles are
+ * matched on their timestamp: local documents with no counterpart upstream
+ * are soft-deleted (`deletedAt`), and those whose counterpart has different
+ * metadata are updated in place. Scrobbles imported from other services are
+ * left alone.
+ * @param {object} db - MongoDB database instance
+ * @param {LastFmClient} client - Last.fm API client
+ * @param {object} [options] - Reconcile options
+ * @param {number} [options.days] - Size of the trailing window in days
+ * @returns {Promise<object>} - Deleted, edited and restored counts
+ */
+export async function reconcileScrobbles(db, client, options = {}) {
+  const days = options.days || 14;
+  const collection = db.collection("scrobbles");
+  const { username } = client;
+  const end = new Date();
+  const start = new Date(end.getTime() - days * DAY_MS);
+
+  const remote = await client.getScrobblesInRange(start, end);
+  const local = await collection
+    .find({
+      scrobbledAt: { $gte: start, $lt: end },
+      username,
+      source: "lastfm",
+    })
+    .toArray();
+
+  const remoteByTime = groupByTime(
+    remote.map((s) => transformScrobble(s, username)),
+  );
+  const localByTime = groupByTime(local);
+  const now = new Date();
+  const report = { deleted: 0, edited: 0, restored: 0, inserted: 0 };
+  const missing = [];
+
+  for (const [time, localDocs] of localByTime) {
+    const remoteDocs = remoteByTime.get(time) || [];
+    remoteByTime.delete(time);
+
+    // Same track at the same time: only metadata such as album may differ
+    for (const doc of [...localDocs]) {
+      const index = remoteDocs.findIndex(
+        (r) =>
+          r.artistName === doc.artistName && r.trackTitle === doc.trackTitle,
+      );
+      if (index === -1) continue;
+
+      const [match] = remoteDocs.splice(index, 1);
+      localDocs.splice(localDocs.indexOf(doc), 1);
+
+      if (doc.deletedAt) {
+        await updateScrobble(collection, doc, match);
+        report.restored++;
+      } else if (hasMetadataChanges(doc, match)) {
+        await updateScrobble(collection, doc, match);
+        report.edited++;
+      }
+    }
+
+    // Remaining scrobbles at this time were renamed upstream
+    for (const doc of localDocs) {
+      if (doc.deletedAt) continue;
+
+      const match = remoteDocs.shift();
+      if (match) {
+        await updateScrobble(collection, doc, match);
+        report.edited++;
+      } else {
+        await collection.updateOne(
+          { _id: doc._id },
+          { $set: { deletedAt: now } },
+        );
+        report.deleted++;
+      }
+    }
+
+    missing.push(...remoteDocs);
+  }
+
+  for (const remoteDocs of remoteByTime.values()) {
+    missing.push(...remoteDocs);
+  }
+
+  if (missing.length > 0) {
+    ({ inserted: report.inserted } = await saveScrobbles(collection, missing));
+  }
+
+  console.log(
+    `[Last.fm] Reconciled last ${days} days for ${username}: ` +
+      `${report.deleted} deleted, ` +
+      `${report.edited} edited, ${report.restored} restored`,
+  );
+
+  return report;
+}
+
+/**
+ * Group scrobble documents by timestamp
+ * @param {Array} docs - Scrobble documents
+ * @returns {Map<number, Array>} - Documents keyed by epoch milliseconds
+ */
+function groupByTime(docs) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const time = doc.scrobbledAt.getTime();
+    if (!groups.has(time)) groups.set(time, []);
+    groups.get(time).push(doc);
+  }
+  return groups;
+}
+
+/**
+ * Check whether an upstream scrobble differs from the stored one
+ * @param {object} doc - Stored scrobble document
+ * @param {object} remote - Transformed upstream scrobble
+ * @returns {boolean} - Whether any metadata changed
+ */
+function hasMetadataChanges(doc, remote) {
+  return ["albumTitle", "artistMbid", "albumMbid", "mbid", "trackUrl"].some(
+    (field) => (doc[field] || null) !== (remote[field] || null),
+  );
+}
+
+/**
+ * Overwrite a stored scrobble with its upstream metadata
+ * @param {object} collection - Scrobbles collection
+ * @param {object} doc - Stored scrobble document
+ * @param {object} remote - Transformed upstream scrobble
+ */
+async function updateScrobble(collection, doc, remote) {
+  const metadata = { ...remote };
+  delete metadata.scrobbledAt;
+  delete metadata.syncedAt;
+
+  try {
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { ...metadata, editedAt: new Date() }, $unset: { deletedAt: "" } }
+    );
+  } catch (err) {
+    // Another document already holds the edited metadata
+    if (err.code !== 11000) throw err;
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { deletedAt: new Date() } },
+    );
+  }
+}
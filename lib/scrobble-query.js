@@ -0,0 +1,122 @@
+import { getExportFilter } from "./export.js";
+import { CASE_INSENSITIVE, escapeRegExp } from "./utils.js";
+
+/**
+ * Build the MongoDB filter for scrobble queries
+ * @param {object} [filters] - Filters
+ * @param {string} [filters.username] - Account
+ * @param {string} [filters.artist] - Artist name (exact, any case)
+ * @param {string} [filters.album] - Album title (exact, any case)
+ * @param {string} [filters.track] - Track title (exact, any case)
+ * @param {Date} [filters.from] - Earliest scrobble time (inclusive)
+ * @param {Date} [filters.to] - Latest scrobble time (exclusive)
+ * @param {boolean} [filters.loved] - Only loved, or only not loved, tracks
+ * @param {string} [filters.q] - Phrase found in the track, artist or album
+ * @returns {object} - MongoDB filter
+ */
+export function getScrobbleFilter(filters = {}) {
+  const query = getExportFilter(filters);
+
+  if (filters.album) query.albumTitle = filters.album;
+  if (filters.track) query.trackTitle = filters.track;
+
+  if (filters.q) {
+    // The text index finds the phrase without scanning every scrobble
+    query.$text = { $search: `"${filters.q.replaceAll('"', " ")}"` };
+
+    // Text queries can't take the collation, so exact names match any case
+    // with anchored patterns, checked only against the text index's results
+    for (const field of ["artistName", "albumTitle", "trackTitle"]) {
+      if (query[field]) {
+        query[field] = new RegExp(`^${escapeRegExp(query[field])}$`, "i");
+      }
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Get the find options scrobble filters need
+ * @param {object} [filters] - Filters (see getScrobbleFilter)
+ * @returns {object} - MongoDB find options
+ */
+export function getScrobbleQueryOptions(filters = {}) {
+  const exact = filters.artist || filters.album || filters.track;
+  return exact && !filters.q ? { collation: CASE_INSENSITIVE } : {};
+}
+
+/**
+ * Encode a pagination cursor
+ * The cursor holds the time of the last scrobble on a page and how many
+ * scrobbles at exactly that time were on it, so scrobbles arriving later
+ * (which are newer) never shift the pages that follow.
+ * @param {Date} scrobbledAt - Time of the last scrobble returned
+ * @param {number} seen - Scrobbles returned at that exact time
+ * @returns {string} - Opaque cursor
+ */
+export function encodeCursor(scrobbledAt, seen) {
+  return Buffer.from(
+    JSON.stringify({ t: scrobbledAt.getTime(), n: seen }),
+  ).toString("base64url");
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {object|null} - Time and count, or null if the cursor is invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { t, n } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isInteger(t) || !Number.isInteger(n) || n < 0) return null;
+    return { scrobbledAt: new Date(t), seen: n };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find a page of scrobbles, newest first
+ * @param {object} db - MongoDB database instance
+ * @param {object} filters - Filters (see getScrobbleFilter)
+ * @param {object} options - Pagination
+ * @param {number} options.limit - Scrobbles per page
+ * @param {object} [options.cursor] - Decoded cursor of the previous page
+ * @returns {Promise<object>} - Scrobble documents and the next cursor
+ */
+export async function findScrobblePage(db, filters, { limit, cursor }) {
+  const query = getScrobbleFilter(filters);
+  let skip = 0;
+
+  if (cursor) {
+    // Scrobbles sharing the cursor's time were partly returned already
+    query.scrobbledAt = { ...query.scrobbledAt, $lte: cursor.scrobbledAt };
+    skip = cursor.seen;
+  }
+
+  const docs = await db
+    .collection("scrobbles")
+    .find(query, getScrobbleQueryOptions(filters))
+    .sort({ scrobbledAt: -1, _id: -1 })
+    .skip(skip)
+    .limit(limit + 1)
+    .toArray();
+
+  const hasNext = docs.length > limit;
+  const page = docs.slice(0, limit);
+
+  let nextCursor = null;
+  if (hasNext) {
+    const last = page.at(-1).scrobbledAt;
+    const sameTime = page.filter(
+      (doc) => doc.scrobbledAt.getTime() === last.getTime(),
+    ).length;
+    // Carry over the count when the whole page shares the cursor's time
+    const carried =
+      cursor?.scrobbledAt.getTime() === last.getTime() ? cursor.seen : 0;
+    nextCursor = encodeCursor(last, sameTime + carried);
+  }
+
+  return { docs: page, hasNext, nextCursor };
+}
@@ -0,0 +1,215 @@
+import { IndiekitError } from "@indiekit/error";
+import { getScopeMatch } from "./stats.js";
+import {
+  CASE_INSENSITIVE,
+  escapeRegExp,
+  getListeningLinks,
+} from "./utils.js";
+
+/**
+ * Longest search query accepted
+ */
+export const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Shortest word matched as a prefix
+ */
+export const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Most results per group for a prefix search
+ */
+export const MAX_SUGGESTIONS = 10;
+
+/**
+ * MongoDB's error code when a $text query finds no text index
+ */
+export const INDEX_NOT_FOUND = 27;
+
+// Sorts after every other character under the collation, closing prefix ranges
+const COLLATION_MAX = "\uFFFF";
+
+/**
+ * Build a pattern matching words that start with any of the terms
+ * @param {Array<string>} terms - Search terms
+ * @returns {RegExp} - Case-insensitive pattern
+ */
+function wordPrefixPattern(terms) {
+  const alternatives = terms.map((term) => escapeRegExp(term)).join("|");
+  return new RegExp(`(?:^|[\\s(\\[/&-])(?:${alternatives})`, "i");
+}
+
+/**
+ * Build the scrobble filter for a search
+ * Whole words use the text index. For autocomplete, the last word is still
+ * being typed, so it is matched as the start of a word instead. A single
+ * word being typed matches names that start with it, as a range over the
+ * case-insensitive name indexes.
+ * @param {Array<string>} terms - Search terms
+ * @param {boolean} prefix - Whether the last term is a prefix
+ * @returns {object} - MongoDB filter
+ */
+function getSearchMatch(terms, prefix) {
+  if (prefix && terms.length === 1) {
+    const range = { $gte: terms[0], $lt: terms[0] + COLLATION_MAX };
+    return {
+      $or: [
+        { trackTitle: range },
+        { artistName: range },
+        { albumTitle: range },
+      ],
+    };
+  }
+
+  const words = prefix ? terms.slice(0, -1) : terms;
+  const match = {};
+
+  if (words.length > 0) {
+    match.$text = { $search: words.join(" ") };
+  }
+
+  if (prefix) {
+    const pattern = wordPrefixPattern(terms.slice(-1));
+    match.$or = [
+      { trackTitle: pattern },
+      { artistName: pattern },
+      { albumTitle: pattern },
+    ];
+  }
+
+  return match;
+}
+
+/**
+ * Build the pipeline of one result group
+ * @param {object} fieldMatch - Which scrobbles belong in the group
+ * @param {object} group - $group stage fields
+ * @param {number} limit - Number of results
+ * @param {boolean} scored - Whether scrobbles have a text score
+ * @returns {Array} - Aggregation stages
+ */
+function resultGroup(fieldMatch, group, limit, scored) {
+  return [
+    { $match: fieldMatch },
+    {
+      $group: {
+        ...group,
+        playCount: { $sum: 1 },
+        lastListen: { $max: "$scrobbledAt" },
+        ...(scored && { score: { $max: "$score" } }),
+      },
+    },
+    { $sort: scored ? { score: -1, playCount: -1 } : { playCount: -1 } },
+    { $limit: limit },
+    { $project: { _id: 0, score: 0 } },
+  ];
+}
+
+/**
+ * Search listening history
+ * Results are grouped into artists, albums and tracks, each with its play
+ * count and last listen, best matches first.
+ * @param {object} db - MongoDB database
+ * @param {string} query - Search text
+ * @param {object} [options] - Search options
+ * @param {object} [options.scope] - Stats scope
+ * @param {boolean} [options.prefix] - Match the last word as a prefix, for autocomplete
+ * @param {number} [options.limit] - Results per group
+ * @returns {Promise<object>} - Artists, albums and tracks
+ */
+export async function searchListening(db, query, options = {}) {
+  const { scope = {}, limit = 10 } = options;
+  let { prefix = false } = options;
+  let terms = query.trim().split(/\s+/).filter(Boolean);
+
+  // Too short to narrow anything down
+  if (prefix && terms.at(-1)?.length < MIN_PREFIX_LENGTH) {
+    terms = terms.slice(0, -1);
+    prefix = false;
+  }
+  if (terms.length === 0) {
+    return { artists: [], albums: [], tracks: [] };
+  }
+
+  const match = { ...getScopeMatch(scope), ...getSearchMatch(terms, prefix) };
+  const scored = Boolean(match.$text);
+  const anchored = prefix && terms.length === 1;
+  // Artists and albums are only listed when their own name matches
+  const pattern = anchored
+    ? new RegExp(`^${escapeRegExp(terms[0])}`, "i")
+    : wordPrefixPattern(terms);
+
+  const pipeline = [
+    { $match: match },
+    ...(scored ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        artists: resultGroup(
+          { artistName: pattern },
+          {
+            _id: "$artistName",
+            name: { $first: "$artistName" },
+          },
+          limit,
+          scored,
+        ),
+        albums: resultGroup(
+          { albumTitle: pattern },
+          {
+            _id: { artist: "$artistName", album: "$albumTitle" },
+            artist: { $first: "$artistName" },
+            album: { $first: "$albumTitle" },
+            coverUrl: { $max: "$coverUrl" },
+          },
+          limit,
+          scored,
+        ),
+        tracks: resultGroup(
+          {},
+          {
+            _id: { artist: "$artistName", track: "$trackTitle" },
+            artist: { $first: "$artistName" },
+            track: { $first: "$trackTitle" },
+            album: { $first: "$albumTitle" },
+            coverUrl: { $max: "$coverUrl" },
+            loved: { $max: "$loved" },
+          },
+          limit,
+          scored,
+        ),
+      },
+    },
+  ];
+
+  let result;
+  try {
+    [result] = await db
+      .collection("scrobbles")
+      .aggregate(pipeline, anchored ? { collation: CASE_INSENSITIVE } : {})
+      .toArray();
+  } catch (error) {
+    if (error.code === INDEX_NOT_FOUND) {
+      throw new IndiekitError("Search index not ready, sync scrobbles first", {
+        status: 503,
+        code: "search_index",
+      });
+    }
+    throw error;
+  }
+
+  return {
+    artists: result.artists.map((artist) => ({
+      ...artist,
+      links: { artist: getListeningLinks({ artist: artist.name }).artist },
+    })),
+    albums: result.albums.map((album) => {
+      const links = getListeningLinks(album);
+      return { ...album, links: { artist: links.artist, album: links.album } };
+    }),
+    tracks: result.tracks.map((track) => ({
+      ...track,
+      loved: track.loved || false,
+      links: getListeningLinks(track),
+    })),
+  };
+}
@@ -1,19 +1,76 @@
-import { formatTopArtist, formatTopAlbum, mapPeriodToLastfm } from "./utils.js";
+import {
+  CASE_INSENSITIVE,
+  formatTopArtist,
+  formatTopAlbum,
+  formatTopTrack,
+  formatLovedTrack,
+  getListeningLinks,
+  mapPeriodToLastfm,
+} from "./utils.js";
+import { getZonedDate, startOfPeriod, startOfZonedDay } from "./dates.js";
+
+/**
+ * Calendar-aligned periods, bucketed in the configured timezone
+ */
+const CALENDAR_PERIODS = ["today", "thisWeek", "thisMonth", "thisYear"];
+
+/**
+ * Get base match filter for a stats scope
+ * Soft-deleted scrobbles are always excluded
+ * @param {object} [scope] - Stats scope
+ * @param {string} [scope.username] - Limit to one account (all accounts if omitted)
+ * @param {string} [scope.timezone] - IANA timezone for calendar periods and daily buckets
+ * @param {Array<string>} [scope.excludeSources] - Scrobble sources to leave out, e.g. ['spotify']
+ * @param {Date} [scope.from] - Limit to scrobbles from this time (with period 'all')
+ * @param {Date} [scope.to] - Limit to scrobbles before this time (with period 'all')
+ * @returns {object} - MongoDB match filter
+ */
+export function getScopeMatch(scope = {}) {
+  const match = { deletedAt: null };
+  if (scope.username) match.username = scope.username;
+  if (scope.excludeSources?.length) {
+    match.source = { $nin: scope.excludeSources };
+  }
+  if (scope.from || scope.to) {
+    match.scrobbledAt = {};
+    if (scope.from) match.scrobbledAt.$gte = scope.from;
+    if (scope.to) match.scrobbledAt.$lt = scope.to;
+  }
+  return match;
+}
 
 /**
  * Get date match filter for a time period
- * @param {string} period - 'all', 'week', or 'month'
+ * 'week' and 'month' are rolling 7/30-day windows; 'today', 'thisWeek',
+ * 'thisMonth' and 'thisYear' start at local midnight in the scope's timezone
+ * @param {string} period - 'all', 'week', 'month', or a calendar period
+ * @param {object} [scope] - Stats scope
  * @returns {object} - MongoDB match filter
  */
-function getDateMatch(period) {
+function getDateMatch(period, scope = {}) {
   const now = new Date();
+  const match = getScopeMatch(scope);
+
+  if (CALENDAR_PERIODS.includes(period)) {
+    return {
+      ...match,
+      scrobbledAt: { $gte: startOfPeriod(period, scope.timezone, now) },
+    };
+  }
+
   switch (period) {
     case "week":
-      return { scrobbledAt: { $gte: new Date(now - 7 * 24 * 60 * 60 * 1000) } };
+      return {
+        ...match,
+        scrobbledAt: { $gte: new Date(now - 7 * 24 * 60 * 60 * 1000) },
+      };
     case "month":
-      return { scrobbledAt: { $gte: new Date(now - 30 * 24 * 60 * 60 * 1000) } };
+      return {
+        ...match,
+        scrobbledAt: { $gte: new Date(now - 30 * 24 * 60 * 60 * 1000) },
+      };
     default:
-      return {};
+      return match;
   }
 }
 
@@ -22,10 +79,11 @@ function getDateMatch(period) {
  * @param {object} db - MongoDB database
  * @param {string} period - 'all', 'week', or 'month'
  * @param {number} limit - Number of artists to return
+ * @param {object} [scope] - Stats scope
  * @returns {Promise<Array>} - Top artists
  */
-export async function getTopArtistsFromDb(db, period = "all", limit = 10) {
-  const match = getDateMatch(period);
+export async function getTopArtistsFromDb(db, period = "all", limit = 10, scope = {}) {
+  const match = getDateMatch(period, scope);
   const collection = db.collection("scrobbles");
 
   return collection
@@ -59,10 +117,11 @@ export async function getTopArtistsFromDb(db, period = "all", limit = 10) {
  * @param {object} db - MongoDB database
  * @param {string} period - 'all', 'week', or 'month'
  * @param {number} limit - Number of albums to return
+ * @param {object} [scope] - Stats scope
  * @returns {Promise<Array>} - Top albums
  */
-export async function getTopAlbumsFromDb(db, period = "all", limit = 10) {
-  const match = getDateMatch(period);
+export async function getTopAlbumsFromDb(db, period = "all", limit = 10, scope = {}) {
+  const match = getDateMatch(period, scope);
   const collection = db.collection("scrobbles");
 
   return collection
@@ -94,6 +153,44 @@ export async function getTopAlbumsFromDb(db, period = "all", limit = 10) {
     .toArray();
 }
 
+/**
+ * Get top tracks from MongoDB
+ * @param {object} db - MongoDB database
+ * @param {string} period - 'all', 'week', 'month', or a calendar period
+ * @param {number} limit - Number of tracks to return
+ * @param {object} [scope] - Stats scope
+ * @returns {Promise<Array>} - Top tracks, shaped like formatTopTrack
+ */
+export async function getTopTracksFromDb(db, period = "all", limit = 10, scope = {}) {
+  const match = getDateMatch(period, scope);
+  const collection = db.collection("scrobbles");
+
+  const tracks = await collection
+    .aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { track: "$trackTitle", artist: "$artistName" },
+          track: { $first: "$trackTitle" },
+          artist: { $first: "$artistName" },
+          album: { $first: "$albumTitle" },
+          playCount: { $sum: 1 },
+          url: { $first: "$trackUrl" },
+          mbid: { $first: "$mbid" },
+          artistMbid: { $first: "$artistMbid" },
+          albumMbid: { $first: "$albumMbid" },
+          coverUrl: { $first: "$coverUrl" },
+        },
+      },
+      { $sort: { playCount: -1 } },
+      { $limit: limit },
+      { $project: { _id: 0 } },
+    ])
+    .toArray();
+
+  return tracks.map((track, index) => ({ rank: index + 1, ...track }));
+}
+
 /**
  * Get top artists from Last.fm API
  * @param {object} client - LastFmClient instance
@@ -124,26 +221,52 @@ export async function getTopAlbumsFromApi(client, period = "all", limit = 10) {
   return albums.map((album, index) => formatTopAlbum(album, index + 1));
 }
 
+/**
+ * Get top tracks from Last.fm API
+ * @param {object} client - LastFmClient instance
+ * @param {string} period - 'all', 'week', or 'month'
+ * @param {number} limit - Number of tracks to return
+ * @returns {Promise<Array>} - Top tracks
+ */
+export async function getTopTracksFromApi(client, period = "all", limit = 10) {
+  const lastfmPeriod = mapPeriodToLastfm(period);
+  const response = await client.getTopTracks(lastfmPeriod, limit);
+  const tracks = response.toptracks?.track || [];
+
+  return tracks.map((track, index) => formatTopTrack(track, index + 1));
+}
+
 /**
  * Get scrobble trends (daily counts)
+ * Days run from midnight to midnight in the scope's timezone
  * @param {object} db - MongoDB database
  * @param {number} days - Number of days to look back
+ * @param {object} [scope] - Stats scope
  * @returns {Promise<Array>} - Daily scrobble counts
  */
-export async function getScrobbleTrends(db, days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  startDate.setHours(0, 0, 0, 0);
+export async function getScrobbleTrends(db, days = 30, scope = {}) {
+  const timezone = scope.timezone || "UTC";
+  const today = getZonedDate(new Date(), timezone);
+  const startDate = startOfZonedDay(
+    today.year,
+    today.month,
+    today.day - days,
+    timezone,
+  );
 
   const collection = db.collection("scrobbles");
 
   return collection
     .aggregate([
-      { $match: { scrobbledAt: { $gte: startDate } } },
+      { $match: { ...getScopeMatch(scope), scrobbledAt: { $gte: startDate } } },
       {
         $group: {
           _id: {
-            $dateToString: { format: "%Y-%m-%d", date: "$scrobbledAt" },
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$scrobbledAt",
+              timezone,
+            },
           },
           count: { $sum: 1 },
         },
@@ -160,14 +283,297 @@ export async function getScrobbleTrends(db, days = 30) {
     .toArray();
 }
 
+/**
+ * Pipeline counting plays per month
+ * @param {string} timezone - IANA timezone months are bucketed in
+ * @returns {Array} - Aggregation stages
+ */
+function playsPerMonth(timezone) {
+  return [
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: "%Y-%m", date: "$scrobbledAt", timezone },
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, month: "$_id", count: 1 } },
+  ];
+}
+
+/**
+ * Get the play history shared by album and track stats
+ * @param {object} db - MongoDB database
+ * @param {object} match - Scrobbles to include
+ * @param {object} scope - Stats scope
+ * @param {number} limit - Number of scrobble times to list
+ * @param {object} [facets] - Extra aggregation facets
+ * @returns {Promise<object|null>} - Summary, timeline and scrobble times
+ */
+async function getPlayHistory(db, match, scope, limit, facets = {}) {
+  const [result] = await db
+    .collection("scrobbles")
+    .aggregate(
+      [
+        { $match: match },
+        {
+          $facet: {
+            summary: [
+              {
+                $group: {
+                  _id: null,
+                  artist: { $first: "$artistName" },
+                  album: { $first: "$albumTitle" },
+                  track: { $first: "$trackTitle" },
+                  url: { $first: "$trackUrl" },
+                  mbid: { $max: "$mbid" },
+                  albumMbid: { $max: "$albumMbid" },
+                  coverUrl: { $max: "$coverUrl" },
+                  loved: { $max: "$loved" },
+                  totalPlays: { $sum: 1 },
+                  firstListen: { $min: "$scrobbledAt" },
+                  lastListen: { $max: "$scrobbledAt" },
+                },
+              },
+            ],
+            playsPerMonth: playsPerMonth(scope.timezone || "UTC"),
+            scrobbles: [
+              { $sort: { scrobbledAt: -1 } },
+              { $limit: limit },
+              { $project: { _id: 0, scrobbledAt: 1 } },
+            ],
+            ...facets,
+          },
+        },
+      ],
+      { collation: CASE_INSENSITIVE },
+    )
+    .toArray();
+
+  const summary = result?.summary[0];
+  if (!summary) return null;
+
+  return {
+    ...result,
+    summary,
+    scrobbles: result.scrobbles.map((doc) => doc.scrobbledAt),
+  };
+}
+
+/**
+ * Get the listening history of one album
+ * @param {object} db - MongoDB database
+ * @param {string} artist - Artist name
+ * @param {string} album - Album title
+ * @param {object} [scope] - Stats scope
+ * @param {number} [limit] - Number of scrobble times to list
+ * @returns {Promise<object|null>} - Album stats, or null if never played
+ */
+export async function getAlbumStats(db, artist, album, scope = {}, limit = 100) {
+  const match = { ...getScopeMatch(scope), artistName: artist, albumTitle: album };
+  const history = await getPlayHistory(db, match, scope, limit, {
+    tracks: [
+      {
+        $group: {
+          _id: "$trackTitle",
+          track: { $first: "$trackTitle" },
+          playCount: { $sum: 1 },
+          url: { $first: "$trackUrl" },
+          mbid: { $first: "$mbid" },
+          loved: { $max: "$loved" },
+        },
+      },
+      { $sort: { playCount: -1, _id: 1 } },
+      { $project: { _id: 0 } },
+    ],
+  });
+  if (!history) return null;
+
+  const { summary } = history;
+  const tracks = history.tracks.map((track) => ({
+    ...track,
+    loved: track.loved || false,
+  }));
+  const links = getListeningLinks(summary);
+
+  return {
+    artist: summary.artist,
+    album: summary.album,
+    mbid: summary.albumMbid || null,
+    coverUrl: summary.coverUrl || null,
+    totalPlays: summary.totalPlays,
+    firstListen: summary.firstListen,
+    lastListen: summary.lastListen,
+    loved: tracks.some((track) => track.loved),
+    playsPerMonth: history.playsPerMonth,
+    tracks: tracks.map((track) => ({
+      ...track,
+      links: getListeningLinks({ artist: summary.artist, track: track.track }),
+    })),
+    scrobbles: history.scrobbles,
+    links: { artist: links.artist, album: links.album },
+  };
+}
+
+/**
+ * Get the listening history of one track
+ * @param {object} db - MongoDB database
+ * @param {string} artist - Artist name
+ * @param {string} track - Track title
+ * @param {object} [scope] - Stats scope
+ * @param {number} [limit] - Number of scrobble times to list
+ * @returns {Promise<object|null>} - Track stats, or null if never played
+ */
+export async function getTrackStats(db, artist, track, scope = {}, limit = 100) {
+  const match = { ...getScopeMatch(scope), artistName: artist, trackTitle: track };
+  const history = await getPlayHistory(db, match, scope, limit);
+  if (!history) return null;
+
+  const { summary } = history;
+  const lovedFilter = {
+    artistName: summary.artist,
+    trackTitle: summary.track,
+    unlovedAt: null,
+  };
+  if (scope.username) lovedFilter.username = scope.username;
+  const lovedTrack = await db
+    .collection("lovedTracks")
+    .findOne(lovedFilter, { collation: CASE_INSENSITIVE, sort: { lovedAt: 1 } });
+
+  return {
+    artist: summary.artist,
+    track: summary.track,
+    album: summary.album || null,
+    url: summary.url || null,
+    mbid: summary.mbid || null,
+    coverUrl: summary.coverUrl || null,
+    totalPlays: summary.totalPlays,
+    firstListen: summary.firstListen,
+    lastListen: summary.lastListen,
+    loved: Boolean(lovedTrack),
+    lovedAt: lovedTrack?.lovedAt || null,
+    playsPerMonth: history.playsPerMonth,
+    scrobbles: history.scrobbles,
+    links: getListeningLinks(summary),
+  };
+}
+
+/**
+ * Get the listening history of one artist
+ * Names match in any case; months are bucketed in the scope's timezone.
+ * @param {object} db - MongoDB database
+ * @param {string} name - Artist name
+ * @param {object} [scope] - Stats scope
+ * @param {number} [limit] - Number of top tracks and albums
+ * @returns {Promise<object|null>} - Artist stats, or null if never played
+ */
+export async function getArtistStats(db, name, scope = {}, limit = 10) {
+  const timezone = scope.timezone || "UTC";
+  const match = { ...getScopeMatch(scope), artistName: name };
+
+  const [result] = await db
+    .collection("scrobbles")
+    .aggregate(
+      [
+        { $match: match },
+        {
+          $facet: {
+            summary: [
+              {
+                $group: {
+                  _id: null,
+                  name: { $first: "$artistName" },
+                  mbid: { $max: "$artistMbid" },
+                  totalPlays: { $sum: 1 },
+                  firstListen: { $min: "$scrobbledAt" },
+                  lastListen: { $max: "$scrobbledAt" },
+                },
+              },
+            ],
+            playsPerMonth: playsPerMonth(timezone),
+            topTracks: [
+              {
+                $group: {
+                  _id: "$trackTitle",
+                  track: { $first: "$trackTitle" },
+                  album: { $first: "$albumTitle" },
+                  playCount: { $sum: 1 },
+                  url: { $first: "$trackUrl" },
+                  mbid: { $first: "$mbid" },
+                  coverUrl: { $first: "$coverUrl" },
+                  loved: { $max: "$loved" },
+                },
+              },
+              { $sort: { playCount: -1, _id: 1 } },
+              { $limit: limit },
+              { $project: { _id: 0 } },
+            ],
+            topAlbums: [
+              { $match: { albumTitle: { $nin: [null, ""] } } },
+              {
+                $group: {
+                  _id: "$albumTitle",
+                  title: { $first: "$albumTitle" },
+                  playCount: { $sum: 1 },
+                  mbid: { $first: "$albumMbid" },
+                  coverUrl: { $first: "$coverUrl" },
+                },
+              },
+              { $sort: { playCount: -1, _id: 1 } },
+              { $limit: limit },
+              { $project: { _id: 0 } },
+            ],
+          },
+        },
+      ],
+      { collation: CASE_INSENSITIVE },
+    )
+    .toArray();
+
+  const summary = result?.summary[0];
+  if (!summary) return null;
+
+  const lovedFilter = { artistName: name, unlovedAt: null };
+  if (scope.username) lovedFilter.username = scope.username;
+  const lovedTracks = await db
+    .collection("lovedTracks")
+    .find(lovedFilter, { collation: CASE_INSENSITIVE })
+    .sort({ lovedAt: -1 })
+    .toArray();
+
+  const rank = (item, index) => ({ rank: index + 1, ...item });
+
+  return {
+    name: summary.name,
+    mbid: summary.mbid || null,
+    totalPlays: summary.totalPlays,
+    firstListen: summary.firstListen,
+    lastListen: summary.lastListen,
+    playsPerMonth: result.playsPerMonth,
+    topTracks: result.topTracks.map((track, index) => ({
+      ...rank(track, index),
+      links: getListeningLinks({ artist: summary.name, track: track.track }),
+    })),
+    topAlbums: result.topAlbums.map((album, index) => ({
+      ...rank(album, index),
+      links: getListeningLinks({ artist: summary.name, album: album.title }),
+    })),
+    lovedTracks: lovedTracks.map((doc) => formatLovedTrack(doc, true)),
+    links: { artist: getListeningLinks({ artist: summary.name }).artist },
+  };
+}
+
 /**
  * Get summary statistics for a time period
  * @param {object} db - MongoDB database
- * @param {string} period - 'all', 'week', or 'month'
+ * @param {string} period - 'all', 'week', 'month', or a calendar period
+ * @param {object} [scope] - Stats scope
  * @returns {Promise<object>} - Summary stats
  */
-export async function getSummary(db, period = "all") {
-  const match = getDateMatch(period);
+export async function getSummary(db, period = "all", scope = {}) {
+  const match = getDateMatch(period, scope);
   const collection = db.collection("scrobbles");
 
   const result = await collection
@@ -223,31 +629,55 @@ export async function getSummary(db, period = "all") {
   );
 }
 
+/**
+ * Check whether a scope has scrobbles from somewhere other than Last.fm
+ * @param {object} db - MongoDB database
+ * @param {object} [scope] - Stats scope
+ * @returns {Promise<boolean>} - Whether imported scrobbles are included
+ */
+export async function hasImportedScrobbles(db, scope = {}) {
+  const imported = await db.collection("scrobbles").findOne(
+    { ...getScopeMatch(scope), source: { $nin: [null, "lastfm"] } },
+    { projection: { _id: 1 } },
+  );
+  return Boolean(imported);
+}
+
 /**
  * Get all stats for all time periods
- * Uses Last.fm API for top artists/albums (more accurate) with DB fallback
+ * Top artists/albums come from the Last.fm API (more accurate) when it sees
+ * the same scrobbles as the database, and from the database otherwise
  * @param {object} db - MongoDB database
  * @param {object} limits - Limits for top lists
  * @param {object} [client] - LastFmClient instance (optional, for API-based stats)
+ * @param {object} [scope] - Stats scope
  * @returns {Promise<object>} - All stats
  */
-export async function getAllStats(db, limits = {}, client = null) {
+export async function getAllStats(db, limits = {}, client = null, scope = {}) {
   const topArtistsLimit = limits.topArtists || 10;
   const topAlbumsLimit = limits.topAlbums || 10;
 
   // Get summaries from database
-  const [summaryAll, summaryMonth, summaryWeek, trends] = await Promise.all([
-    getSummary(db, "all"),
-    getSummary(db, "month"),
-    getSummary(db, "week"),
-    getScrobbleTrends(db, 30),
-  ]);
+  const [summaryAll, summaryMonth, summaryWeek, trends, ...calendarSummaries] =
+    await Promise.all([
+      getSummary(db, "all", scope),
+      getSummary(db, "month", scope),
+      getSummary(db, "week", scope),
+      getScrobbleTrends(db, 30, scope),
+      ...CALENDAR_PERIODS.map((period) => getSummary(db, period, scope)),
+    ]);
 
   // Get top artists/albums - prefer API (more accurate), fall back to DB
   let topArtists = { all: [], month: [], week: [] };
   let topAlbums = { all: [], month: [], week: [] };
 
-  if (client) {
+  // Last.fm only knows its own scrobbles and can't leave sources out
+  const useApi =
+    client &&
+    !scope.excludeSources?.length &&
+    !(await hasImportedScrobbles(db, scope));
+
+  if (useApi) {
     try {
       const [
         topArtistsAll,
@@ -273,7 +703,7 @@ export async function getAllStats(db, limits = {}, client = null) {
     }
   }
 
-  // Fall back to DB if API failed or client not provided
+  // Fall back to DB if API failed, was skipped or client not provided
   if (topArtists.all.length === 0) {
     const [
       topArtistsAll,
@@ -283,12 +713,12 @@ export async function getAllStats(db, limits = {}, client = null) {
       topAlbumsMonth,
       topAlbumsWeek,
     ] = await Promise.all([
-      getTopArtistsFromDb(db, "all", topArtistsLimit),
-      getTopArtistsFromDb(db, "month", topArtistsLimit),
-      getTopArtistsFromDb(db, "week", topArtistsLimit),
-      getTopAlbumsFromDb(db, "all", topAlbumsLimit),
-      getTopAlbumsFromDb(db, "month", topAlbumsLimit),
-      getTopAlbumsFromDb(db, "week", topAlbumsLimit),
+      getTopArtistsFromDb(db, "all", topArtistsLimit, scope),
+      getTopArtistsFromDb(db, "month", topArtistsLimit, scope),
+      getTopArtistsFromDb(db, "week", topArtistsLimit, scope),
+      getTopAlbumsFromDb(db, "all", topAlbumsLimit, scope),
+      getTopAlbumsFromDb(db, "month", topAlbumsLimit, scope),
+      getTopAlbumsFromDb(db, "week", topAlbumsLimit, scope),
     ]);
 
     topArtists = { all: topArtistsAll, month: topArtistsMonth, week: topArtistsWeek };
@@ -300,7 +730,12 @@ export async function getAllStats(db, limits = {}, client = null) {
       all: summaryAll,
       month: summaryMonth,
       week: summaryWeek,
+      ...Object.fromEntries(
+        CALENDAR_PERIODS.map((period, i) => [period, calendarSummaries[i]]),
+      ),
     },
+    timezone: scope.timezone || "UTC",
+    excludedSources: scope.excludeSources || [],
     topArtists,
     topAlbums,
     trends,
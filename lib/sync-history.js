@@ -0,0 +1,107 @@
+const RUN_HISTORY_TTL = 30 * 86_400; // 30 days in seconds
+
+// Repairs and imports are recorded too, but say nothing about whether sync works
+const SYNC_TRIGGERS = ["scheduled", "manual"];
+
+/**
+ * Record a finished sync run
+ * @param {object} db - MongoDB database instance
+ * @param {object} run - Sync run summary
+ * @returns {Promise<void>}
+ */
+export async function recordSyncRun(db, run) {
+  const collection = db.collection("lastfmSyncRuns");
+
+  // Expire old runs so the history doesn't grow forever
+  await collection.createIndex(
+    { startedAt: 1 },
+    { expireAfterSeconds: RUN_HISTORY_TTL },
+  );
+
+  await collection.insertOne(run);
+}
+
+/**
+ * Check whether an account has synced without errors since a time
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Account
+ * @param {Date} since - Earliest start of the run
+ * @returns {Promise<boolean>} - Whether such a run was recorded
+ */
+export async function hasSyncedSince(db, username, since) {
+  const run = await db.collection("lastfmSyncRuns").findOne(
+    {
+      startedAt: { $gte: since },
+      trigger: { $in: SYNC_TRIGGERS },
+      status: { $in: ["success", "partial"] },
+      "accounts.username": username,
+      "errors.username": { $ne: username },
+    },
+    { projection: { _id: 1 } },
+  );
+  return Boolean(run);
+}
+
+/**
+ * Get the most recent sync runs
+ * @param {object} db - MongoDB database instance
+ * @param {number} [limit] - Number of runs to return
+ * @returns {Promise<Array>} - Sync runs, newest first
+ */
+export async function getRecentSyncRuns(db, limit = 10) {
+  return db
+    .collection("lastfmSyncRuns")
+    .find({}, { projection: { _id: 0 } })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Summarise sync health for monitoring
+ *
+ * Sync is unhealthy when the latest run failed outright, or when no run has
+ * succeeded within three sync intervals.
+ * @param {object} db - MongoDB database instance
+ * @param {number} intervalMs - Configured sync interval
+ * @returns {Promise<object>} - Sync health
+ */
+export async function getSyncHealth(db, intervalMs) {
+  const collection = db.collection("lastfmSyncRuns");
+
+  const syncRuns = { trigger: { $in: SYNC_TRIGGERS } };
+
+  const [lastRun, lastSuccess] = await Promise.all([
+    collection.findOne(syncRuns, {
+      sort: { startedAt: -1 },
+      projection: { _id: 0 },
+    }),
+    collection.findOne(
+      { ...syncRuns, status: { $ne: "failed" } },
+      { sort: { startedAt: -1 } },
+    ),
+  ]);
+
+  const failures = await collection
+    .find(
+      lastSuccess
+        ? { ...syncRuns, startedAt: { $gt: lastSuccess.startedAt } }
+        : syncRuns,
+    )
+    .sort({ startedAt: 1 })
+    .project({ startedAt: 1 })
+    .toArray();
+
+  const lastSuccessAt = lastSuccess?.finishedAt || null;
+  const stale = lastSuccessAt
+    ? Date.now() - lastSuccessAt.getTime() > intervalMs * 3
+    : failures.length > 0;
+
+  return {
+    healthy: lastRun?.status !== "failed" && !stale,
+    lastRun,
+    lastSuccessAt,
+    consecutiveFailures: failures.length,
+    failingSince: failures[0]?.startedAt || null,
+  };
+}
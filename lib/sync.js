@@ -1,47 +1,80 @@
 import { LastFmClient } from "./lastfm-client.js";
-import { getCoverUrl, getArtistName, getAlbumName, parseDate, getMbid, getTrackUrl } from "./utils.js";
+import {
+  CASE_INSENSITIVE,
+  getCoverUrl,
+  getArtistName,
+  getAlbumName,
+  parseDate,
+  getMbid,
+  getTrackUrl,
+} from "./utils.js";
 import { getAllStats } from "./stats.js";
+import { EVERYONE, getEffectiveConfig } from "./config.js";
+import { recordSyncRun } from "./sync-history.js";
+import { runMigrations } from "./migrations.js";
+import { getMicropubConfig } from "./micropub.js";
+import { publishListens } from "./listen-posts.js";
+import { publishLikes } from "./like-posts.js";
+import { pingChangedFeeds } from "./websub.js";
 
 let syncInterval = null;
+let initialSyncTimeout = null;
+let syncIntervalMs = null;
+let nextSyncAt = null;
+let syncRunning = false;
 
-// In-memory cache for stats (accessible to public routes)
-let cachedStats = null;
-let cachedStatsTime = null;
+// Last.fm's maximum page size for user.getRecentTracks
+const PAGE_SIZE = 200;
+
+// In-memory cache for stats (accessible to public routes), keyed by account
+const cachedStats = new Map();
 const STATS_CACHE_TTL = 300_000; // 5 minutes
 
 /**
  * Get cached stats (for public API routes that can't access DB)
+ * @param {string} account - Username or EVERYONE
  * @returns {object|null} - Cached stats or null
  */
-export function getCachedStats() {
-  if (!cachedStats) return null;
-  if (cachedStatsTime && Date.now() - cachedStatsTime > STATS_CACHE_TTL) {
-    return cachedStats; // Return stale cache, sync will refresh
+export function getCachedStats(account) {
+  const cached = cachedStats.get(account);
+  if (!cached) return null;
+  if (Date.now() - cached.time > STATS_CACHE_TTL) {
+    return cached.stats; // Return stale cache, sync will refresh
   }
-  return cachedStats;
+  return cached.stats;
 }
 
 /**
  * Update stats cache
+ * @param {string} account - Username or EVERYONE
  * @param {object} stats - Stats to cache
  */
-export function setCachedStats(stats) {
-  cachedStats = stats;
-  cachedStatsTime = Date.now();
+export function setCachedStats(account, stats) {
+  cachedStats.set(account, { stats, time: Date.now() });
 }
 
 /**
  * Refresh stats cache from database (for when cache is empty)
  * @param {object} db - MongoDB database instance
+ * @param {string} account - Username or EVERYONE
  * @param {object} limits - Limits for top lists
  * @param {object} client - LastFmClient instance for API-based stats
+ * @param {object} [options] - Stats scope options (timezone, excludeSources)
  * @returns {Promise<object|null>} - Stats or null if failed
  */
-export async function refreshStatsCache(db, limits = {}, client = null) {
+export async function refreshStatsCache(
+  db,
+  account,
+  limits = {},
+  client = null,
+  options = {},
+) {
   if (!db) return null;
   try {
-    const stats = await getAllStats(db, limits, client);
-    setCachedStats(stats);
+    const scope = { ...options };
+    if (account !== EVERYONE) scope.username = account;
+    const stats = await getAllStats(db, limits, client, scope);
+    setCachedStats(account, stats);
     console.log("[Last.fm] Stats cache refreshed on-demand");
     return stats;
   } catch (err) {
@@ -57,9 +90,15 @@ export async function refreshStatsCache(db, limits = {}, client = null) {
  */
 export function startSync(Indiekit, options) {
   const intervalMs = options.syncInterval || 300_000; // 5 minutes default
+  syncIntervalMs = intervalMs;
+  const scheduledAt = Date.now();
+  nextSyncAt = new Date(scheduledAt + 5000);
 
   // Initial sync after a short delay
-  setTimeout(() => {
+  initialSyncTimeout = setTimeout(() => {
+    initialSyncTimeout = null;
+    // The interval below counts from when it was scheduled
+    nextSyncAt = new Date(scheduledAt + intervalMs);
     runSync(Indiekit, options).catch((err) => {
       console.error("[Last.fm] Initial sync error:", err.message);
     });
@@ -67,13 +106,14 @@ export function startSync(Indiekit, options) {
 
   // Schedule recurring sync
   syncInterval = setInterval(() => {
+    nextSyncAt = new Date(Date.now() + intervalMs);
     runSync(Indiekit, options).catch((err) => {
       console.error("[Last.fm] Sync error:", err.message);
     });
   }, intervalMs);
 
   console.log(
-    `[Last.fm] Background sync started (interval: ${intervalMs / 1000}s)`
+    `[Last.fm] Background sync started (interval: ${intervalMs / 1000}s)`,
   );
 }
 
@@ -81,44 +121,39 @@ export function startSync(Indiekit, options) {
  * Stop background sync
  */
 export function stopSync() {
+  if (initialSyncTimeout) {
+    clearTimeout(initialSyncTimeout);
+    initialSyncTimeout = null;
+  }
   if (syncInterval) {
     clearInterval(syncInterval);
     syncInterval = null;
+    nextSyncAt = null;
     console.log("[Last.fm] Background sync stopped");
   }
 }
 
 /**
- * Get effective config from DB settings, falling back to env var config
- * @param {object} db - MongoDB database instance
- * @param {object} options - Plugin config from env vars
- * @returns {Promise<object>} Options with effective settings
+ * Get background sync schedule
+ * @returns {object} - Interval, next scheduled run and whether a sync is running
  */
-async function getEffectiveSyncOptions(db, options) {
-  try {
-    const settings = await db
-      .collection("lastfmMeta")
-      .findOne({ key: "settings" });
-    if (settings) {
-      return {
-        ...options,
-        apiKey: settings.apiKey || options.apiKey,
-        username: settings.username || options.username,
-      };
-    }
-  } catch {
-    // Fall through to defaults
-  }
-  return options;
+export function getSyncSchedule() {
+  return {
+    intervalMs: syncIntervalMs,
+    nextRunAt: nextSyncAt,
+    running: syncRunning,
+  };
 }
 
 /**
- * Run a single sync operation
+ * Run a single sync operation for every configured account
+ * Every run that gets as far as the database is recorded in `lastfmSyncRuns`
  * @param {object} Indiekit - Indiekit instance (or {database} object)
  * @param {object} options - Plugin options
+ * @param {string} [trigger] - What started the run: 'scheduled' or 'manual'
  * @returns {Promise<object>} - Sync result
  */
-export async function runSync(Indiekit, options) {
+export async function runSync(Indiekit, options, trigger = "scheduled") {
   const db = Indiekit.database;
   if (!db) {
     console.log("[Last.fm] No database available, skipping sync");
@@ -126,33 +161,208 @@ export async function runSync(Indiekit, options) {
   }
 
   // Use effective config (DB settings override env vars)
-  const effectiveOptions = await getEffectiveSyncOptions(db, options);
+  const { apiKey, usernames, timezone } = await getEffectiveConfig(db, options);
 
-  if (!effectiveOptions.apiKey || !effectiveOptions.username) {
+  if (!apiKey || usernames.length === 0) {
     console.log("[Last.fm] No API key or username configured, skipping sync");
+    const now = new Date();
+    await recordSyncRun(db, {
+      trigger,
+      status: "failed",
+      startedAt: now,
+      finishedAt: now,
+      durationMs: 0,
+      pagesFetched: 0,
+      inserted: 0,
+      updated: 0,
+      skipped: 0,
+      accounts: [],
+      errors: [{ message: "Not configured" }],
+    });
     return { synced: 0, error: "Not configured" };
   }
 
-  const client = new LastFmClient({
-    apiKey: effectiveOptions.apiKey,
-    username: effectiveOptions.username,
-    cacheTtl: 60_000, // Short cache for sync
-  });
+  // A backfill can take longer than the sync interval, so never overlap runs
+  if (syncRunning) {
+    console.log("[Last.fm] Sync already running, skipping");
+    return { synced: 0, error: "Sync already running" };
+  }
 
-  const result = await syncScrobbles(db, client);
+  const clients = usernames.map(
+    (username) =>
+      new LastFmClient({
+        apiKey,
+        username,
+        // Sync pages would push out the responses the cache is for
+        bypassCache: true,
+      }),
+  );
 
-  // Update stats cache after sync
+  const startedAt = new Date();
+  const result = { synced: 0, errors: [] };
+  const accounts = [];
+  let lovedChanges = 0;
+  const listenPosts = options.listenPosts?.enabled;
+  const likePosts = options.likePosts?.enabled;
+  const postsEnabled = listenPosts || likePosts;
+  const micropub = postsEnabled ? getMicropubConfig(Indiekit, options) : null;
+  if (postsEnabled && !micropub) {
+    console.warn("[Last.fm] Posts enabled but no Micropub endpoint or token");
+  }
+  const sum = (field) =>
+    accounts.reduce((total, a) => total + (a[field] || 0), 0);
+  syncRunning = true;
   try {
-    const stats = await getAllStats(db, effectiveOptions.limits || {}, client);
-    setCachedStats(stats);
-    console.log("[Last.fm] Stats cache updated");
+    // Documents must be in the current schema before anything is written
+    await runMigrations(db);
+    await assignUntaggedDocuments(db, usernames[0]);
+
+    // One failing account should not hold up the others
+    for (const client of clients) {
+      const account = {
+        username: client.username,
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+      };
+      accounts.push(account);
+
+      try {
+        const { synced, inserted, updated, skipped, newScrobbles } =
+          await syncScrobbles(db, client);
+        result.synced += synced;
+        Object.assign(account, { inserted, updated, skipped });
+
+        // Runs without new scrobbles too, to retry failed posts
+        if (micropub && listenPosts) {
+          await publishListens(
+            db,
+            micropub,
+            client.username,
+            newScrobbles,
+            options.listenPosts,
+            timezone,
+          ).catch((err) => {
+            console.error("[Last.fm] Failed to publish listens:", err.message);
+          });
+        }
+      } catch (err) {
+        console.error(
+          `[Last.fm] Sync error for ${client.username}:`,
+          err.message,
+        );
+        result.errors.push({ username: client.username, message: err.message });
+        continue;
+      } finally {
+        account.pagesFetched = client.pagesFetched;
+      }
+
+      try {
+        const loved = await syncLovedTracks(db, client);
+        lovedChanges += loved.newLoves.length + loved.unloved;
+
+        if (micropub && likePosts) {
+          await publishLikes(
+            db,
+            micropub,
+            client.username,
+            loved.newLoves,
+            options.likePosts,
+          ).catch((err) => {
+            console.error("[Last.fm] Failed to publish likes:", err.message);
+          });
+        }
+      } catch (err) {
+        console.error("[Last.fm] Failed to sync loved tracks:", err.message);
+        result.errors.push({ username: client.username, message: err.message });
+      }
+    }
   } catch (err) {
-    console.error("[Last.fm] Failed to cache stats:", err.message);
+    // Record the run anyway, or the sync status would look healthy
+    console.error("[Last.fm] Sync failed:", err.message);
+    const finishedAt = new Date();
+    await recordSyncRun(db, {
+      trigger,
+      status: "failed",
+      startedAt,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+      pagesFetched: sum("pagesFetched"),
+      inserted: sum("inserted"),
+      updated: sum("updated"),
+      skipped: sum("skipped"),
+      accounts,
+      errors: [...result.errors, { message: err.message }],
+    }).catch((recordErr) => {
+      console.error("[Last.fm] Failed to record sync run:", recordErr.message);
+    });
+    return { ...result, error: err.message };
+  } finally {
+    syncRunning = false;
+  }
+
+  const finishedAt = new Date();
+  const failedAccounts = new Set(result.errors.map((err) => err.username));
+  await recordSyncRun(db, {
+    trigger,
+    status:
+      failedAccounts.size === 0
+        ? "success"
+        : failedAccounts.size === accounts.length
+          ? "failed"
+          : "partial",
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    pagesFetched: sum("pagesFetched"),
+    inserted: sum("inserted"),
+    updated: sum("updated"),
+    skipped: sum("skipped"),
+    accounts,
+    errors: result.errors,
+  }).catch((err) => {
+    console.error("[Last.fm] Failed to record sync run:", err.message);
+  });
+
+  // Let feed subscribers know there is something new, without waiting
+  pingChangedFeeds(
+    Indiekit,
+    options,
+    { scrobbles: sum("inserted") + sum("updated"), loved: lovedChanges },
+    usernames,
+  ).catch((err) => {
+    console.warn("[Last.fm] WebSub ping failed:", err.message);
+  });
+
+  // Update stats cache after sync
+  const limits = options.limits || {};
+  const scope = { timezone, excludeSources: options.excludeSources };
+  for (const { username } of clients) {
+    const client = new LastFmClient({ apiKey, username, cacheTtl: 60_000 });
+    await refreshStatsCache(db, username, limits, client, scope);
+  }
+  if (clients.length > 1) {
+    await refreshStatsCache(db, EVERYONE, limits, null, scope);
   }
 
   return result;
 }
 
+/**
+ * Assign documents stored before multi-account support to the primary account
+ * @param {object} db - MongoDB database instance
+ * @param {string} username - Primary account
+ */
+async function assignUntaggedDocuments(db, username) {
+  const untagged = { username: { $exists: false } };
+
+  await db.collection("scrobbles").updateMany(untagged, { $set: { username } });
+  await db.collection("lovedTracks").updateMany(untagged, { $set: { username } });
+  await db
+    .collection("lastfmMeta")
+    .updateOne({ key: "backfill", ...untagged }, { $set: { username } });
+}
+
 /**
  * Sync scrobbles to MongoDB
  * @param {object} db - MongoDB database instance
@@ -162,64 +372,366 @@ export async function runSync(Indiekit, options) {
 export async function syncScrobbles(db, client) {
   const collection = db.collection("scrobbles");
 
-  // Create indexes for efficient queries
-  await collection.createIndex({ lastfmId: 1 }, { unique: true, sparse: true });
-  // Create compound index for deduplication (same track at same time)
-  await collection.createIndex(
-    { trackTitle: 1, artistName: 1, scrobbledAt: 1 },
-    { unique: true }
-  );
-  // Create index on scrobbledAt for time-based queries
-  await collection.createIndex({ scrobbledAt: -1 });
-  // Create indexes for aggregation
-  await collection.createIndex({ artistName: 1 });
-  await collection.createIndex({ albumTitle: 1 });
+  const { username } = client;
 
-  // Get the latest synced scrobble
-  const latest = await collection.findOne({}, { sort: { scrobbledAt: -1 } });
-  // Handle both Date objects (old data) and ISO strings (new data)
-  const latestDate = latest?.scrobbledAt ? new Date(latest.scrobbledAt) : new Date(0);
+  await ensureScrobbleIndexes(collection);
+
+  // Walk the full history first; resumes from its checkpoint if interrupted
+  const backfill = await backfillScrobbles(db, client);
+
+  // Get the latest synced scrobble (imported ones may be newer)
+  const latest = await collection.findOne(
+    { username, source: "lastfm" },
+    { sort: { scrobbledAt: -1 } },
+  );
+  const latestDate = latest?.scrobbledAt || new Date(0);
 
   console.log(
-    `[Last.fm] Syncing scrobbles since: ${latestDate.toISOString()}`
+    `[Last.fm] Syncing scrobbles for ${username} since: ${latestDate.toISOString()}`,
   );
 
-  // Fetch new scrobbles
-  let newScrobbles;
-  if (latestDate.getTime() === 0) {
-    // First sync: get recent history (not all-time to avoid rate limits)
-    console.log("[Last.fm] First sync, fetching recent scrobbles...");
-    newScrobbles = await client.getAllRecentTracks(10); // ~2000 tracks max
-  } else {
-    // Incremental sync
-    newScrobbles = await client.getNewScrobbles(latestDate);
-  }
+  const newScrobbles = await client.getNewScrobbles(latestDate);
 
   if (newScrobbles.length === 0) {
     console.log("[Last.fm] No new scrobbles to sync");
-    return { synced: 0 };
+    return {
+      ...backfill.counts,
+      synced: backfill.counts.inserted,
+      newScrobbles: [],
+    };
   }
 
   console.log(`[Last.fm] Found ${newScrobbles.length} new scrobbles`);
 
-  // Transform to our schema
-  const docs = newScrobbles.map((s) => transformScrobble(s));
+  const counts = await saveScrobbles(
+    collection,
+    newScrobbles.map((s) => transformScrobble(s, username)),
+  );
+
+  console.log(`[Last.fm] Synced ${counts.inserted} scrobbles`);
+
+  const inserted = backfill.counts.inserted + counts.inserted;
+  return {
+    synced: inserted,
+    inserted,
+    updated: backfill.counts.updated + counts.updated,
+    skipped: backfill.counts.skipped + counts.skipped,
+    newScrobbles: counts.insertedDocs,
+  };
+}
+
+/**
+ * Backfill the full scrobble history, oldest page first
+ *
+ * The `to` timestamp is fixed when the backfill starts so page numbers stay
+ * stable while new scrobbles arrive; those are picked up by incremental sync.
+ * Progress is checkpointed in `lastfmMeta` after every page, so a crash or
+ * restart resumes where it left off.
+ * @param {object} db - MongoDB database instance
+ * @param {LastFmClient} client - Last.fm API client
+ * @returns {Promise<object>} - Backfill result with inserted, updated and skipped counts
+ */
+export async function backfillScrobbles(db, client) {
+  const meta = db.collection("lastfmMeta");
+  const collection = db.collection("scrobbles");
+  const { username } = client;
+  const checkpointFilter = { key: "backfill", username };
+
+  const counts = { inserted: 0, updated: 0, skipped: 0 };
+
+  let checkpoint = await meta.findOne(checkpointFilter);
+  if (checkpoint?.completedAt) {
+    return { counts, completed: true };
+  }
+
+  if (checkpoint) {
+    console.log(
+      `[Last.fm] Resuming backfill for ${username} at page ${checkpoint.page}/${checkpoint.totalPages}`,
+    );
+  } else {
+    const to = Math.floor(Date.now() / 1000);
+    const response = await client.getRecentTracks(1, PAGE_SIZE, null, to);
+    const totalPages =
+      parseInt(response.recenttracks?.["@attr"]?.totalPages) || 0;
+
+    checkpoint = {
+      ...checkpointFilter,
+      to,
+      page: totalPages,
+      totalPages,
+      synced: 0,
+      startedAt: new Date(),
+    };
+    await meta.updateOne(checkpointFilter, { $set: checkpoint }, { upsert: true });
+    console.log(
+      `[Last.fm] Starting full history backfill for ${username} (${totalPages} pages)`,
+    );
+  }
+
+  let { page, synced } = checkpoint;
+
+  while (page >= 1) {
+    const response = await client.getRecentTracks(
+      page,
+      PAGE_SIZE,
+      null,
+      checkpoint.to,
+    );
+    const tracks = (response.recenttracks?.track || []).filter(
+      (t) => !t["@attr"]?.nowplaying,
+    );
+
+    const saved = await saveScrobbles(
+      collection,
+      tracks.map((s) => transformScrobble(s, username)),
+    );
+    for (const key of Object.keys(counts)) counts[key] += saved[key];
+    synced += saved.inserted;
+    page--;
+
+    await meta.updateOne(checkpointFilter, {
+      $set: { page, synced, updatedAt: new Date() },
+    });
+
+    if (page % 10 === 0) {
+      console.log(
+        `[Last.fm] Backfill progress: ${checkpoint.totalPages - page}/${checkpoint.totalPages} pages`,
+      );
+    }
+  }
+
+  await meta.updateOne(checkpointFilter, {
+    $set: { completedAt: new Date() },
+  });
+  console.log(
+    `[Last.fm] Backfill complete for ${username} (${synced} scrobbles)`,
+  );
+
+  return { counts, completed: true };
+}
+
+/**
+ * Fetch loved tracks, newest first, until a page has one already stored
+ * @param {LastFmClient} client - Last.fm API client
+ * @param {Function} isKnown - Whether a Last.fm track is stored and loved
+ * @returns {Promise<Array>} - Loved tracks
+ */
+async function fetchNewLoves(client, isKnown) {
+  const tracks = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await client.getLovedTracks(page, 200);
+    const pageTracks = response.lovedtracks?.track || [];
+    tracks.push(...pageTracks);
+    if (pageTracks.some(isKnown)) break;
+
+    totalPages = parseInt(response.lovedtracks?.["@attr"]?.totalPages) || 1;
+    page++;
+  } while (page <= totalPages);
+
+  return tracks;
+}
+
+/**
+ * Sync loved tracks to MongoDB
+ *
+ * Records when each track was loved, and keeps the `loved` flag on matching
+ * scrobbles in line with the current state on Last.fm. Loves are listed
+ * newest first, so regular syncs stop at the first page with a known track.
+ * Unloves only show as a track missing from the complete list, so they are
+ * detected by a full sync, which the first sync and gap repair run.
+ * @param {object} db - MongoDB database instance
+ * @param {LastFmClient} client - Last.fm API client
+ * @param {object} [options] - Sync options
+ * @param {boolean} [options.full] - Fetch every page and detect unloves
+ * @returns {Promise<object>} - Numbers of newly loved and unloved tracks,
+ *   and the newly loved track documents
+ */
+export async function syncLovedTracks(db, client, options = {}) {
+  const collection = db.collection("lovedTracks");
+  const scrobbles = db.collection("scrobbles");
+  const { username } = client;
+
+  await dropIndexIfExists(collection, "artistName_1_trackTitle_1");
+  await collection.createIndex(
+    { username: 1, artistName: 1, trackTitle: 1 },
+    { unique: true },
+  );
+  await collection.createIndex({ lovedAt: -1 });
+
+  const existing = await collection
+    .find(
+      { username },
+      { projection: { artistName: 1, trackTitle: 1, unlovedAt: 1 } },
+    )
+    .toArray();
+  const existingByKey = new Map(
+    existing.map((doc) => [`${doc.artistName}\u0000${doc.trackTitle}`, doc]),
+  );
+
+  // Unlove detection needs the complete list, so fetch every page
+  const full = options.full || existing.length === 0;
+  const tracks = full
+    ? await client.getAllLovedTracks(Infinity)
+    : await fetchNewLoves(client, (track) => {
+        const doc = transformLovedTrack(track, username);
+        const current = existingByKey.get(
+          `${doc.artistName}\u0000${doc.trackTitle}`,
+        );
+        return current && !current.unlovedAt;
+      });
+  const now = new Date();
+
+  const remoteKeys = new Set();
+  const newLoves = [];
+
+  for (const track of tracks) {
+    const doc = transformLovedTrack(track, username);
+    const key = `${doc.artistName}\u0000${doc.trackTitle}`;
+    remoteKeys.add(key);
+
+    const current = existingByKey.get(key);
+    if (current && !current.unlovedAt) continue;
+
+    const trackFilter = {
+      username,
+      artistName: doc.artistName,
+      trackTitle: doc.trackTitle,
+    };
+    await collection.updateOne(
+      trackFilter,
+      {
+        $set: { ...doc, unlovedAt: null, syncedAt: now },
+        $push: { history: { type: "love", at: doc.lovedAt } },
+      },
+      { upsert: true },
+    );
+    await scrobbles.updateMany(trackFilter, { $set: { loved: true } });
+    newLoves.push(doc);
+  }
+
+  // An empty response is more likely an API hiccup than unloving everything
+  let unloved = 0;
+  if (full && tracks.length > 0) {
+    for (const [key, doc] of existingByKey) {
+      if (doc.unlovedAt || remoteKeys.has(key)) continue;
 
-  // Upsert each document (in case of duplicates)
-  let synced = 0;
-  for (const doc of docs) {
-    try {
       await collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: { unlovedAt: now, syncedAt: now },
+          $push: { history: { type: "unlove", at: now } },
+        },
+      );
+      await scrobbles.updateMany(
+        { username, artistName: doc.artistName, trackTitle: doc.trackTitle },
+        { $set: { loved: false } },
+      );
+      unloved++;
+    }
+  }
+
+  const loved = newLoves.length;
+  if (loved || unloved) {
+    console.log(
+      `[Last.fm] Loved tracks for ${username}: ${loved} loved, ${unloved} unloved`,
+    );
+  }
+
+  return { loved, unloved, newLoves };
+}
+
+/**
+ * Create the scrobbles collection indexes
+ * The unique indexes are what deduplicates scrobbles, so anything that
+ * writes scrobbles must call this first.
+ * @param {object} collection - Scrobbles collection
+ * @returns {Promise<void>}
+ */
+export async function ensureScrobbleIndexes(collection) {
+  // Unique indexes from before multi-account support ignore the account
+  await dropIndexIfExists(collection, "lastfmId_1");
+  await dropIndexIfExists(collection, "trackTitle_1_artistName_1_scrobbledAt_1");
+
+  // Create indexes for efficient queries
+  await collection.createIndex(
+    { username: 1, lastfmId: 1 },
+    { unique: true, sparse: true },
+  );
+  // Create compound index for deduplication (same track at same time)
+  await collection.createIndex(
+    { username: 1, trackTitle: 1, artistName: 1, scrobbledAt: 1 },
+    { unique: true },
+  );
+  // Create indexes on scrobbledAt for time-based queries
+  await collection.createIndex({ scrobbledAt: -1 });
+  await collection.createIndex({ username: 1, scrobbledAt: -1 });
+  // Stats look for imported scrobbles on every refresh; source first, so
+  // the check is cheap across all accounts as well as for one
+  await collection.createIndex({ source: 1, username: 1 });
+  // Create indexes for aggregation
+  await collection.createIndex({ artistName: 1 });
+  await collection.createIndex({ albumTitle: 1 });
+  // Create case-insensitive indexes for artist, album and track lookups;
+  // queries only use them with the same collation
+  const caseInsensitive = { collation: CASE_INSENSITIVE };
+  await collection.createIndex(
+    { artistName: 1, albumTitle: 1, trackTitle: 1 },
+    caseInsensitive,
+  );
+  await collection.createIndex(
+    { username: 1, artistName: 1, albumTitle: 1, trackTitle: 1 },
+    caseInsensitive,
+  );
+  // Autocomplete matches the start of any name
+  await collection.createIndex(
+    { albumTitle: 1 },
+    { ...caseInsensitive, name: "albumTitle_ci" },
+  );
+  await collection.createIndex(
+    { trackTitle: 1 },
+    { ...caseInsensitive, name: "trackTitle_ci" },
+  );
+  // Create a text index for search; names are matched as written, not stemmed
+  await collection.createIndex(
+    { trackTitle: "text", artistName: "text", albumTitle: "text" },
+    { name: "search", default_language: "none" },
+  );
+}
+
+/**
+ * Upsert transformed scrobbles
+ * @param {object} collection - Scrobbles collection
+ * @param {Array} docs - Transformed scrobble documents
+ * @returns {Promise<object>} - Inserted, updated and skipped counts, and the inserted documents
+ */
+export async function saveScrobbles(collection, docs) {
+  const counts = { inserted: 0, updated: 0, skipped: 0 };
+  const insertedDocs = [];
+
+  for (const { syncedAt, ...doc } of docs) {
+    try {
+      const result = await collection.updateOne(
         {
+          username: doc.username,
           trackTitle: doc.trackTitle,
           artistName: doc.artistName,
           scrobbledAt: doc.scrobbledAt,
         },
-        { $set: doc },
-        { upsert: true }
+        // Anything Last.fm returns is no longer deleted upstream
+        { $set: doc, $setOnInsert: { syncedAt }, $unset: { deletedAt: "" } },
+        { upsert: true },
       );
-      synced++;
+      if (result.upsertedCount) {
+        counts.inserted++;
+        insertedDocs.push({ ...doc, syncedAt });
+      }
+      else if (result.modifiedCount) counts.updated++;
+      else counts.skipped++;
     } catch (err) {
+      counts.skipped++;
       // Ignore duplicate key errors
       if (err.code !== 11000) {
         console.error(`[Last.fm] Error inserting scrobble:`, err.message);
@@ -227,21 +739,36 @@ export async function syncScrobbles(db, client) {
     }
   }
 
-  console.log(`[Last.fm] Synced ${synced} scrobbles`);
-  return { synced };
+  return { ...counts, insertedDocs };
+}
+
+/**
+ * Drop an index if it exists
+ * @param {object} collection - MongoDB collection
+ * @param {string} name - Index name
+ */
+async function dropIndexIfExists(collection, name) {
+  try {
+    await collection.dropIndex(name);
+  } catch {
+    // Index (or collection) does not exist
+  }
 }
 
 /**
  * Transform Last.fm scrobble to our schema
  * @param {object} scrobble - Last.fm track object
+ * @param {string} username - Account the scrobble belongs to
+ * @param {string} [source] - Where the scrobble came from, e.g. 'listenbrainz'
  * @returns {object} - Transformed document
  */
-function transformScrobble(scrobble) {
+export function transformScrobble(scrobble, username, source = "lastfm") {
   const scrobbledAtDate = parseDate(scrobble.date);
   const artistName = getArtistName(scrobble);
   const albumTitle = getAlbumName(scrobble);
 
   return {
+    username,
     // Create a unique ID from track info and timestamp
     lastfmId: `${artistName}:${scrobble.name}:${scrobbledAtDate.getTime()}`,
     trackTitle: scrobble.name,
@@ -253,7 +780,27 @@ function transformScrobble(scrobble) {
     mbid: getMbid(scrobble),
     coverUrl: getCoverUrl(scrobble),
     loved: scrobble.loved === "1",
-    scrobbledAt: scrobbledAtDate.toISOString(),
-    syncedAt: new Date().toISOString(),
+    source,
+    scrobbledAt: scrobbledAtDate,
+    syncedAt: new Date(),
+  };
+}
+
+/**
+ * Transform Last.fm loved track to our schema
+ * @param {object} track - Last.fm loved track object
+ * @param {string} username - Account the loved track belongs to
+ * @returns {object} - Transformed document
+ */
+function transformLovedTrack(track, username) {
+  return {
+    username,
+    trackTitle: track.name,
+    trackUrl: getTrackUrl(track),
+    artistName: getArtistName(track),
+    artistMbid: track.artist?.mbid || null,
+    mbid: getMbid(track),
+    coverUrl: getCoverUrl(track),
+    lovedAt: parseDate(track.date),
   };
 }
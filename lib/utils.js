@@ -239,13 +239,15 @@ export function getPlayingStatus(track) {
  */
 export function formatScrobble(scrobble, fromDb = false) {
   if (fromDb) {
-    // From MongoDB — scrobbledAt may be Date object (old) or ISO string (new)
+    // From MongoDB — scrobbledAt is a Date, or an ISO string until migrated
     const scrobbledAtRaw = scrobble.scrobbledAt;
     const scrobbledAtISO = scrobbledAtRaw instanceof Date
       ? scrobbledAtRaw.toISOString()
       : scrobbledAtRaw;
-    return {
+    const formatted = {
       id: scrobble.lastfmId || scrobble._id?.toString(),
+      username: scrobble.username,
+      source: scrobble.source || "lastfm",
       track: scrobble.trackTitle,
       artist: scrobble.artistName,
       album: scrobble.albumTitle,
@@ -257,13 +259,14 @@ export function formatScrobble(scrobble, fromDb = false) {
       relativeTime: formatRelativeTime(scrobbledAtRaw),
       status: getPlayingStatus({ date: scrobbledAtRaw }),
     };
+    return { ...formatted, links: getListeningLinks(formatted) };
   }
 
   // From API
   const scrobbledAt = parseDate(scrobble.date);
   const isNowPlaying = scrobble["@attr"]?.nowplaying === "true";
 
-  return {
+  const formatted = {
     id: `${scrobble.artist?.mbid || ""}:${scrobble.mbid || scrobble.name}:${scrobbledAt.getTime()}`,
     track: scrobble.name,
     artist: getArtistName(scrobble),
@@ -276,26 +279,67 @@ export function formatScrobble(scrobble, fromDb = false) {
     relativeTime: isNowPlaying ? "now" : formatRelativeTime(scrobbledAt),
     status: getPlayingStatus(scrobble),
   };
+  return { ...formatted, links: getListeningLinks(formatted) };
+}
+
+/**
+ * Get the paths of the listening pages for a track, its artist and album
+ * Paths are relative to the endpoint mount path.
+ * @param {object} item - Formatted track with artist, and album and track if known
+ * @returns {object} - Artist, album and track paths (null when unknown)
+ */
+export function getListeningLinks(item) {
+  const artist = item.artist ? encodeURIComponent(item.artist) : null;
+  if (!artist) return { artist: null, album: null, track: null };
+
+  return {
+    artist: `/listening/artists/${artist}`,
+    album: item.album
+      ? `/listening/albums/${artist}/${encodeURIComponent(item.album)}`
+      : null,
+    track: item.track
+      ? `/listening/tracks/${artist}/${encodeURIComponent(item.track)}`
+      : null,
+  };
 }
 
 /**
  * Format a loved track entry for API response
- * @param {object} track - Last.fm loved track object
+ * @param {object} track - Last.fm loved track object or MongoDB document
+ * @param {boolean} [fromDb] - Whether the track is from MongoDB
  * @returns {object} - Formatted loved track
  */
-export function formatLovedTrack(track) {
+export function formatLovedTrack(track, fromDb = false) {
+  if (fromDb) {
+    const formatted = {
+      id: track.mbid || `${track.artistName}:${track.trackTitle}`,
+      username: track.username,
+      track: track.trackTitle,
+      artist: track.artistName,
+      coverUrl: track.coverUrl,
+      trackUrl: track.trackUrl,
+      mbid: track.mbid,
+      artistMbid: track.artistMbid || null,
+      lovedAt: track.lovedAt.toISOString(),
+      relativeTime: formatRelativeTime(track.lovedAt),
+    };
+    return { ...formatted, links: getListeningLinks(formatted) };
+  }
+
   const lovedAt = parseDate(track.date);
 
-  return {
+  const formatted = {
     id: track.mbid || `${getArtistName(track)}:${track.name}`,
     track: track.name,
     artist: getArtistName(track),
     coverUrl: getCoverUrl(track),
     trackUrl: getTrackUrl(track),
     mbid: getMbid(track),
+    artistMbid: track.artist?.mbid || null,
     lovedAt: lovedAt.toISOString(),
     relativeTime: formatRelativeTime(lovedAt),
   };
+  return { ...formatted, links: getListeningLinks(formatted) };
 }
 
 /**
@@ -354,6 +398,27 @@ export function formatTopAlbum(album, rank) {
   };
 }
 
+/**
+ * Format a top track entry for API response
+ * @param {object} track - Last.fm top track object
+ * @param {number} rank - Track rank
+ * @returns {object} - Formatted track
+ */
+export function formatTopTrack(track, rank) {
+  return {
+    rank,
+    track: track?.name || "Unknown Track",
+    artist: getArtistName(track),
+    album: null, // user.getTopTracks doesn't return albums
+    playCount: parseInt(track?.playcount) || 0,
+    url: track?.url || null,
+    mbid: track?.mbid || null,
+    artistMbid: track?.artist?.mbid || null,
+    albumMbid: null,
+    coverUrl: getCoverUrl(track),
+  };
+}
+
 /**
  * Map Last.fm period to internal period name
  * @param {string} period - Last.fm period (7day, 1month, 3month, 6month, 12month, overall)
@@ -386,3 +451,32 @@ export function mapPeriodToLastfm(period) {
       return "overall";
   }
 }
+
+/**
+ * Collation for looking up names in any case
+ * Strength 2 ignores case but not accents. Queries only use the
+ * case-insensitive name indexes when they pass this same collation.
+ */
+export const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+export function escapeRegExp(text) {
+  return text.replaceAll(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
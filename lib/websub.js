@@ -0,0 +1,85 @@
+import { EVERYONE } from "./config.js";
+import { FEED_FORMATS } from "./feed.js";
+
+const PING_TIMEOUT = 10_000;
+
+/**
+ * Build the canonical URL of a feed
+ * Feed pages link to themselves with this URL, and hubs are pinged with it,
+ * so both must agree.
+ * @param {string} base - Site URL
+ * @param {string} mountPath - Plugin mount path
+ * @param {string} name - 'scrobbles' or 'loved'
+ * @param {object} [query] - Format and user
+ * @param {string} [query.format] - Feed format (Atom if omitted)
+ * @param {string} [query.user] - Account
+ * @returns {string} - Feed URL
+ */
+export function getFeedUrl(base, mountPath, name, query = {}) {
+  const url = new URL(`${mountPath}/feed/${name}`, base);
+  if (query.format && query.format !== "atom") {
+    url.searchParams.set("format", query.format);
+  }
+  if (query.user) url.searchParams.set("user", query.user);
+  return url.href;
+}
+
+/**
+ * Tell a WebSub hub that feeds have new items
+ * Every format of each feed is published: the default (primary account)
+ * feed, each account's `?user=` feed and, with several accounts, the
+ * combined one.
+ * @param {string} hub - Hub URL
+ * @param {string} base - Site URL
+ * @param {string} mountPath - Plugin mount path
+ * @param {Array<string>} names - Feeds with new items
+ * @param {Array<string>} [usernames] - Configured accounts
+ * @returns {Promise<void>}
+ */
+export async function pingHub(hub, base, mountPath, names, usernames = []) {
+  const users = [undefined, ...usernames];
+  if (usernames.length > 1) users.push(EVERYONE);
+
+  const urls = names.flatMap((name) =>
+    users.flatMap((user) =>
+      Object.keys(FEED_FORMATS).map((format) =>
+        getFeedUrl(base, mountPath, name, { format, user }),
+      ),
+    ),
+  );
+
+  for (const url of urls) {
+    try {
+      const response = await fetch(hub, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ "hub.mode": "publish", "hub.url": url }),
+        signal: AbortSignal.timeout(PING_TIMEOUT),
+      });
+      if (!response.ok) {
+        console.warn(`[Last.fm] WebSub hub returned ${response.status} for ${url}`);
+      }
+    } catch (err) {
+      console.warn(`[Last.fm] WebSub ping failed for ${url}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Ping the configured hub for every feed that changed
+ * Does nothing without a hub or a site URL to build feed URLs from.
+ * @param {object} Indiekit - Indiekit instance (or {config} object)
+ * @param {object} options - Plugin options
+ * @param {object} changes - Number of changes per feed name
+ * @param {Array<string>} usernames - Configured accounts
+ * @returns {Promise<void>}
+ */
+export async function pingChangedFeeds(Indiekit, options, changes, usernames) {
+  const hub = options.websub?.hub;
+  const siteUrl = Indiekit.config?.application?.url;
+  const names = Object.keys(changes).filter((name) => changes[name] > 0);
+
+  if (hub && siteUrl && names.length > 0) {
+    await pingHub(hub, siteUrl, options.mountPath, names, usernames);
+  }
+}
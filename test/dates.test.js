@@ -0,0 +1,138 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  getZonedDate,
+  isValidTimezone,
+  parseDateFilter,
+  startOfPeriod,
+  startOfZonedDay,
+} from "../lib/dates.js";
+
+describe("isValidTimezone", () => {
+  it("accepts IANA names and rejects anything else", () => {
+    assert.equal(isValidTimezone("Europe/Lisbon"), true);
+    assert.equal(isValidTimezone("Mars/Olympus_Mons"), false);
+    assert.equal(isValidTimezone(""), false);
+  });
+});
+
+describe("getZonedDate", () => {
+  it("returns the local calendar date, weeks starting on Monday", () => {
+    // Still Sunday evening in New York
+    const date = new Date("2024-03-11T02:00:00Z");
+
+    assert.deepEqual(getZonedDate(date, "America/New_York"), {
+      year: 2024,
+      month: 3,
+      day: 10,
+      weekday: 6,
+    });
+    assert.equal(getZonedDate(date, "UTC").weekday, 0);
+  });
+});
+
+describe("startOfZonedDay", () => {
+  it("finds local midnight on both sides of a DST change", () => {
+    // Lisbon leaves summer time at 01:00 UTC on 27 October 2024
+    assert.deepEqual(
+      startOfZonedDay(2024, 10, 27, "Europe/Lisbon"),
+      new Date("2024-10-26T23:00:00Z"),
+    );
+    assert.deepEqual(
+      startOfZonedDay(2024, 10, 28, "Europe/Lisbon"),
+      new Date("2024-10-28T00:00:00Z"),
+    );
+  });
+
+  it("rolls overflowing days and months forward", () => {
+    assert.deepEqual(
+      startOfZonedDay(2024, 13, 1, "UTC"),
+      new Date("2025-01-01T00:00:00Z"),
+    );
+    assert.deepEqual(
+      startOfZonedDay(2024, 2, 30, "UTC"),
+      new Date("2024-03-01T00:00:00Z"),
+    );
+  });
+});
+
+describe("startOfPeriod", () => {
+  // Wednesday 13 March 2024, after New York moved to summer time on the 10th
+  const now = new Date("2024-03-13T12:00:00Z");
+
+  it("starts today at local midnight", () => {
+    assert.deepEqual(
+      startOfPeriod("today", "America/New_York", now),
+      new Date("2024-03-13T04:00:00Z"),
+    );
+    // 22:00 on the 13th in New York is already the 14th in UTC
+    assert.deepEqual(
+      startOfPeriod(
+        "today",
+        "America/New_York",
+        new Date("2024-03-14T02:00:00Z"),
+      ),
+      new Date("2024-03-13T04:00:00Z"),
+    );
+  });
+
+  it("starts the week on Monday", () => {
+    assert.deepEqual(
+      startOfPeriod("thisWeek", "America/New_York", now),
+      new Date("2024-03-11T04:00:00Z"),
+    );
+  });
+
+  it("uses the offset in force at the start of the period", () => {
+    // 1 March was still standard time (UTC-5)
+    assert.deepEqual(
+      startOfPeriod("thisMonth", "America/New_York", now),
+      new Date("2024-03-01T05:00:00Z"),
+    );
+  });
+
+  it("starts the year east of UTC before it starts in UTC", () => {
+    assert.deepEqual(
+      startOfPeriod(
+        "thisYear",
+        "Pacific/Auckland",
+        new Date("2024-01-01T05:00:00Z"),
+      ),
+      new Date("2023-12-31T11:00:00Z"),
+    );
+  });
+
+  it("defaults to UTC", () => {
+    assert.deepEqual(
+      startOfPeriod("thisYear", undefined, now),
+      new Date("2024-01-01T00:00:00Z"),
+    );
+  });
+});
+
+describe("parseDateFilter", () => {
+  it("returns undefined when absent and null when invalid", () => {
+    assert.equal(parseDateFilter(undefined), undefined);
+    assert.equal(parseDateFilter(""), undefined);
+    assert.equal(parseDateFilter("yesterday"), null);
+  });
+
+  it("includes the whole day of a plain end date", () => {
+    assert.deepEqual(
+      parseDateFilter("2024-03-13"),
+      new Date("2024-03-13T00:00:00Z"),
+    );
+    assert.deepEqual(
+      parseDateFilter("2024-03-13", true),
+      new Date("2024-03-14T00:00:00Z"),
+    );
+  });
+
+  it("leaves date-times as given", () => {
+    assert.deepEqual(
+      parseDateFilter("2024-03-13T10:30:00Z", true),
+      new Date("2024-03-13T10:30:00Z"),
+    );
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * In-memory stand-in for the parts of the MongoDB driver the plugin uses
+ * Supports equality and comparison filters, the update operators the plugin
+ * writes with and unique indexes. Collations and text indexes are ignored.
+ */
+
+/**
+ * Compare two field values, treating dates by their time
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} - Negative, zero or positive
+ */
+function compare(a, b) {
+  const value = (v) => (v instanceof Date ? v.getTime() : v);
+  const x = value(a);
+  const y = value(b);
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+/**
+ * Check whether two field values are equal (missing matches null)
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} - Whether they are equal
+ */
+function equals(a, b) {
+  if (a === undefined || a === null) return b === undefined || b === null;
+  return compare(a, b) === 0;
+}
+
+/**
+ * Check a field value against a filter condition
+ * @param {*} value - Document value
+ * @param {*} condition - Value or operator object
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesCondition(value, condition) {
+  const isOperators =
+    condition &&
+    typeof condition === "object" &&
+    !(condition instanceof Date) &&
+    !(condition instanceof RegExp) &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+
+  if (condition instanceof RegExp) {
+    return typeof value === "string" && condition.test(value);
+  }
+  if (!isOperators) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case "$gt":
+        return value !== undefined && compare(value, operand) > 0;
+      case "$gte":
+        return value !== undefined && compare(value, operand) >= 0;
+      case "$lt":
+        return value !== undefined && compare(value, operand) < 0;
+      case "$lte":
+        return value !== undefined && compare(value, operand) <= 0;
+      case "$ne":
+        return !equals(value, operand);
+      case "$in":
+        return operand.some((item) => equals(value, item));
+      case "$nin":
+        return !operand.some((item) => equals(value, item));
+      case "$exists":
+        return (value !== undefined) === operand;
+      case "$not":
+        return !matchesCondition(value, operand);
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+/**
+ * Check a document against a filter
+ * @param {object} doc - Document
+ * @param {object} filter - MongoDB filter
+ * @returns {boolean} - Whether the document matches
+ */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    return matchesCondition(doc[key], condition);
+  });
+}
+
+class MemoryCursor {
+  constructor(docs) {
+    this.docs = docs;
+  }
+
+  sort(spec) {
+    const fields = Object.entries(spec);
+    this.docs = [...this.docs].sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const order = compare(a[field], b[field]) * direction;
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+    return this;
+  }
+
+  skip(count) {
+    this.docs = this.docs.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count > 0) this.docs = this.docs.slice(0, count);
+    return this;
+  }
+
+  project() {
+    return this;
+  }
+
+  async toArray() {
+    return this.docs.map((doc) => ({ ...doc }));
+  }
+}
+
+class MemoryCollection {
+  constructor() {
+    this.docs = [];
+    this.uniqueIndexes = [];
+    this.nextId = 1;
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) {
+      this.uniqueIndexes.push({ fields: Object.keys(keys), ...options });
+    }
+  }
+
+  async dropIndex(name) {
+    throw new Error(`index not found with name [${name}]`);
+  }
+
+  /**
+   * Throw a duplicate key error if a document breaks a unique index
+   * @param {object} doc - Document about to be stored
+   * @param {object} [self] - Stored document being replaced
+   */
+  checkUnique(doc, self) {
+    for (const { fields, sparse } of this.uniqueIndexes) {
+      if (sparse && fields.some((field) => doc[field] === undefined)) continue;
+      const clash = this.docs.some(
+        (other) =>
+          other !== self &&
+          fields.every((field) => equals(other[field], doc[field])),
+      );
+      if (clash) {
+        throw Object.assign(new Error("E11000 duplicate key error"), {
+          code: 11000,
+        });
+      }
+    }
+  }
+
+  find(filter = {}) {
+    return new MemoryCursor(this.docs.filter((doc) => matches(doc, filter)));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const cursor = this.find(filter);
+    if (options.sort) cursor.sort(options.sort);
+    const [doc] = await cursor.limit(1).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter((doc) => matches(doc, filter)).length;
+  }
+
+  async insertOne(doc) {
+    const stored = { _id: this.nextId++, ...doc };
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const writeErrors = [];
+    let insertedCount = 0;
+    for (const [index, doc] of docs.entries()) {
+      try {
+        await this.insertOne(doc);
+        insertedCount++;
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        writeErrors.push({ index, code: 11000 });
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      throw Object.assign(new Error("E11000 duplicate key error"), {
+        code: 11000,
+        writeErrors,
+        result: { insertedCount },
+      });
+    }
+    return { insertedCount };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    let doc = this.docs.find((candidate) => matches(candidate, filter));
+    let upserted = false;
+
+    if (!doc) {
+      if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+      doc = Object.fromEntries(
+        Object.entries(filter).filter(([key]) => !key.startsWith("$")),
+      );
+      Object.assign(doc, update.$setOnInsert);
+      upserted = true;
+    }
+
+    const next = { ...doc, ...update.$set };
+    for (const key of Object.keys(update.$unset || {})) delete next[key];
+    for (const [key, amount] of Object.entries(update.$inc || {})) {
+      next[key] = (next[key] || 0) + amount;
+    }
+    for (const [key, value] of Object.entries(update.$push || {})) {
+      next[key] = [...(next[key] || []), value];
+    }
+
+    if (upserted) {
+      await this.insertOne(next);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+
+    this.checkUnique(next, doc);
+    const modified = Object.keys({ ...doc, ...next }).some(
+      (key) => !equals(doc[key], next[key]),
+    );
+    this.docs[this.docs.indexOf(doc)] = next;
+    return { matchedCount: 1, modifiedCount: modified ? 1 : 0 };
+  }
+}
+
+/**
+ * Create an empty in-memory database
+ * @returns {object} - Object with a MongoDB-like `collection(name)` method
+ */
+export function createMemoryDb() {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new MemoryCollection());
+      return collections.get(name);
+    },
+  };
+}
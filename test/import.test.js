@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { importScrobbles } from "../lib/import.js";
+import { SCHEMA_VERSION } from "../lib/migrations.js";
+import { createMemoryDb } from "./helpers/memory-db.js";
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Create a database with the schema already migrated
+ * @returns {Promise<object>} - Database
+ */
+async function createDb() {
+  const db = createMemoryDb();
+  await db
+    .collection("lastfmMeta")
+    .insertOne({ key: "schema", version: SCHEMA_VERSION });
+  return db;
+}
+
+/**
+ * Build a Last.fm API shaped scrobble
+ * @param {string} name - Track title
+ * @param {number} time - Scrobble time in milliseconds
+ * @param {string} [artist] - Artist name
+ * @returns {object} - Scrobble
+ */
+const scrobble = (name, time, artist = "Artist") => ({
+  name,
+  artist: { "#text": artist },
+  album: { "#text": "Album" },
+  date: { uts: String(Math.floor(time / 1000)) },
+});
+
+describe("importScrobbles", () => {
+  const time = Date.parse("2024-03-13T12:00:00Z");
+
+  it("skips scrobbles that are already stored", async () => {
+    const db = await createDb();
+    await importScrobbles(db, "alice", [scrobble("One", time)]);
+
+    const counts = await importScrobbles(db, "alice", [
+      scrobble("One", time),
+      scrobble("Two", time + 60_000),
+    ]);
+
+    assert.deepEqual(counts, { imported: 1, skipped: 1 });
+    assert.equal(await db.collection("scrobbles").countDocuments(), 2);
+  });
+
+  it("skips near-duplicates of stored scrobbles within the tolerance", async () => {
+    const db = await createDb();
+    await importScrobbles(db, "alice", [scrobble("One", time)]);
+
+    const counts = await importScrobbles(
+      db,
+      "alice",
+      [
+        // The same play, logged by another service a little later
+        scrobble("ONE", time + 30_000, "artist"),
+        // A different track at the same time
+        scrobble("Two", time),
+        // Played again after the window
+        scrobble("One", time + 120_000),
+      ],
+      { source: "listenbrainz", tolerance: 60_000 },
+    );
+
+    assert.deepEqual(counts, { imported: 2, skipped: 1 });
+  });
+
+  it("only treats the same account's scrobbles as near-duplicates", async () => {
+    const db = await createDb();
+    await importScrobbles(db, "bob", [scrobble("One", time)]);
+
+    const counts = await importScrobbles(
+      db,
+      "alice",
+      [scrobble("One", time + 30_000)],
+      { tolerance: 60_000 },
+    );
+
+    assert.deepEqual(counts, { imported: 1, skipped: 0 });
+  });
+
+  it("looks for near-duplicates a short stretch of history at a time", async () => {
+    const db = await createDb();
+    const collection = db.collection("scrobbles");
+    const ranges = [];
+    const find = collection.find.bind(collection);
+    collection.find = (filter, options) => {
+      if (filter.scrobbledAt?.$gte) {
+        ranges.push(filter.scrobbledAt.$lte - filter.scrobbledAt.$gte);
+      }
+      return find(filter, options);
+    };
+
+    // Two exports' worth of scrobbles, years apart, in no particular order
+    const scrobbles = Array.from({ length: 2000 }, (_, i) =>
+      scrobble(`Track ${i}`, time - (i % 2) * 8 * YEAR + i * 60_000),
+    );
+    const counts = await importScrobbles(db, "alice", scrobbles, {
+      tolerance: 60_000,
+    });
+
+    assert.deepEqual(counts, { imported: 2000, skipped: 0 });
+    assert.equal(ranges.length, 2);
+    for (const range of ranges) assert.ok(range < YEAR);
+  });
+});
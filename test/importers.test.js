@@ -0,0 +1,216 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  parseCsv,
+  parseLastfmCsv,
+  parseTimestamp,
+} from "../lib/importers/csv.js";
+import { parseListenBrainz } from "../lib/importers/listenbrainz.js";
+import { parseSpotifyHistory } from "../lib/importers/spotify.js";
+
+/**
+ * Get the scrobble time of a parsed scrobble
+ * @param {object} scrobble - Last.fm API shaped scrobble
+ * @returns {string} - ISO date
+ */
+const timeOf = (scrobble) =>
+  new Date(Number(scrobble.date.uts) * 1000).toISOString();
+
+describe("parseCsv", () => {
+  it("handles quotes, embedded separators and line endings", () => {
+    const text = '﻿a,"b, c","say ""hi"""\r\n\r\n"multi\nline",,x\n';
+
+    assert.deepEqual(parseCsv(text), [
+      ["a", "b, c", 'say "hi"'],
+      ["multi\nline", "", "x"],
+    ]);
+  });
+
+  it("keeps a last row without a line break", () => {
+    assert.deepEqual(parseCsv("a,b\nc,d"), [
+      ["a", "b"],
+      ["c", "d"],
+    ]);
+  });
+});
+
+describe("parseTimestamp", () => {
+  it("reads Unix seconds and milliseconds", () => {
+    const expected = new Date("2024-03-13T12:00:00Z");
+
+    assert.deepEqual(parseTimestamp("1710331200"), expected);
+    assert.deepEqual(parseTimestamp("1710331200000"), expected);
+    assert.equal(parseTimestamp("0"), null);
+  });
+
+  it("reads date strings as UTC unless they carry an offset", () => {
+    assert.deepEqual(
+      parseTimestamp("13 Mar 2024 12:00"),
+      new Date("2024-03-13T12:00:00Z"),
+    );
+    assert.deepEqual(
+      parseTimestamp("2024-03-13T12:00:00+02:00"),
+      new Date("2024-03-13T10:00:00Z"),
+    );
+  });
+
+  it("rejects blanks and nonsense", () => {
+    assert.equal(parseTimestamp(""), null);
+    assert.equal(parseTimestamp(undefined), null);
+    assert.equal(parseTimestamp("last tuesday"), null);
+  });
+});
+
+describe("parseLastfmCsv", () => {
+  it("matches columns by header name", () => {
+    const { scrobbles, invalid } = parseLastfmCsv(
+      [
+        "uts,utc_time,artist,artist_mbid,album,album_mbid,track,track_mbid",
+        "1710331200,13 Mar 2024,Artist,a-1,Album,b-1,Track,c-1",
+        "1710331260,13 Mar 2024,,,,,No artist,",
+      ].join("\n"),
+    );
+
+    assert.equal(invalid, 1);
+    assert.deepEqual(scrobbles, [
+      {
+        name: "Track",
+        mbid: "c-1",
+        artist: { "#text": "Artist", mbid: "a-1" },
+        album: { "#text": "Album", mbid: "b-1" },
+        date: { uts: "1710331200" },
+      },
+    ]);
+  });
+
+  it("reads header-less exports as artist, album, track, date", () => {
+    const { scrobbles, invalid } = parseLastfmCsv(
+      "Portishead,,Roads,13 Mar 2024 12:00\nPortishead,Dummy,Roads,never\n",
+    );
+
+    assert.equal(invalid, 1);
+    assert.equal(scrobbles.length, 1);
+    assert.equal(scrobbles[0].album["#text"], "");
+    assert.equal(timeOf(scrobbles[0]), "2024-03-13T12:00:00.000Z");
+  });
+});
+
+describe("parseListenBrainz", () => {
+  const listen = {
+    listened_at: 1710331200,
+    track_metadata: {
+      artist_name: "Artist",
+      track_name: "Track",
+      release_name: "Album",
+      additional_info: { recording_mbid: "submitted", artist_mbids: ["a-1"] },
+      mbid_mapping: { recording_mbid: "mapped", release_mbid: "b-1" },
+    },
+  };
+
+  it("prefers submitted MusicBrainz IDs over mapped ones", () => {
+    const { scrobbles, invalid } = parseListenBrainz(JSON.stringify([listen]));
+
+    assert.equal(invalid, 0);
+    assert.deepEqual(scrobbles, [
+      {
+        name: "Track",
+        mbid: "submitted",
+        artist: { "#text": "Artist", mbid: "a-1" },
+        album: { "#text": "Album", mbid: "b-1" },
+        date: { uts: "1710331200" },
+      },
+    ]);
+  });
+
+  it("reads API responses", () => {
+    const text = JSON.stringify({ payload: { listens: [listen, listen] } });
+
+    assert.equal(parseListenBrainz(text).scrobbles.length, 2);
+  });
+
+  it("reads JSON Lines, counting broken lines and listens", () => {
+    const text = [
+      JSON.stringify(listen),
+      "{broken",
+      "",
+      JSON.stringify({ ...listen, listened_at: "later" }),
+      JSON.stringify({ listened_at: 1710331200, track_metadata: {} }),
+    ].join("\n");
+    const { scrobbles, invalid } = parseListenBrainz(text);
+
+    assert.equal(scrobbles.length, 1);
+    assert.equal(invalid, 3);
+  });
+});
+
+describe("parseSpotifyHistory", () => {
+  /**
+   * Build a streaming history entry
+   * @param {object} [overrides] - Fields to change
+   * @returns {object} - Entry
+   */
+  const entry = (overrides) => ({
+    ts: "2024-03-13T12:04:00Z",
+    ms_played: 240_000,
+    master_metadata_track_name: "Track",
+    master_metadata_album_artist_name: "Artist",
+    master_metadata_album_album_name: "Album",
+    spotify_track_uri: "spotify:track:abc",
+    ...overrides,
+  });
+
+  it("timestamps scrobbles when playback started", () => {
+    const { scrobbles } = parseSpotifyHistory([JSON.stringify([entry()])]);
+
+    assert.deepEqual(scrobbles, [
+      {
+        name: "Track",
+        artist: { "#text": "Artist" },
+        album: { "#text": "Album" },
+        url: "https://open.spotify.com/track/abc",
+        date: { uts: String(Date.parse("2024-03-13T12:00:00Z") / 1000) },
+      },
+    ]);
+  });
+
+  it("applies the half-track rule using the longest play of each track", () => {
+    const texts = [
+      JSON.stringify([entry(), entry({ ms_played: 100_000 })]),
+      JSON.stringify([entry({ ms_played: 130_000 })]),
+    ];
+    const { scrobbles, ignored } = parseSpotifyHistory(texts);
+
+    assert.equal(scrobbles.length, 2);
+    assert.equal(ignored, 1);
+  });
+
+  it("ignores short plays, podcasts and audiobooks", () => {
+    const text = JSON.stringify([
+      entry({ spotify_track_uri: "spotify:track:short", ms_played: 20_000 }),
+      entry({ spotify_episode_uri: "spotify:episode:xyz" }),
+      entry({ audiobook_title: "Book" }),
+    ]);
+    const { scrobbles, ignored } = parseSpotifyHistory([text]);
+
+    assert.equal(scrobbles.length, 0);
+    assert.equal(ignored, 3);
+
+    const lenient = parseSpotifyHistory([text], { minMsPlayed: 10_000 });
+    assert.equal(lenient.scrobbles.length, 1);
+  });
+
+  it("counts unreadable files and entries", () => {
+    const { scrobbles, invalid } = parseSpotifyHistory([
+      "not json",
+      "{}",
+      JSON.stringify([
+        entry({ ts: "never" }),
+        entry({ master_metadata_track_name: null }),
+      ]),
+    ]);
+
+    assert.equal(scrobbles.length, 0);
+    assert.equal(invalid, 4);
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { RateLimiter } from "../lib/rate-limiter.js";
+
+// Timers may fire a little early relative to Date.now()
+const SLACK = 5;
+
+/**
+ * Acquire several slots at once, recording when each was granted
+ * @param {RateLimiter} limiter - Limiter under test
+ * @param {number} count - Number of callers
+ * @param {number} start - Time the callers were queued
+ * @returns {Promise<Array<number>>} - Milliseconds after start, in grant order
+ */
+async function acquireAll(limiter, count, start) {
+  const granted = [];
+  await Promise.all(
+    Array.from({ length: count }, () =>
+      limiter.acquire().then(() => granted.push(Date.now() - start)),
+    ),
+  );
+  return granted;
+}
+
+/**
+ * Check that no caller went before its slot
+ * @param {Array<number>} granted - Grant times in order
+ * @param {number} first - Earliest allowed time of the first grant
+ * @param {number} interval - Request interval
+ */
+function assertSpaced(granted, first, interval) {
+  for (const [i, time] of granted.entries()) {
+    const slot = first + i * interval;
+    assert.ok(time >= slot - SLACK, `caller ${i} at ${time}ms, slot ${slot}ms`);
+  }
+}
+
+describe("RateLimiter", () => {
+  it("spaces queued callers by the request interval", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20 });
+    const granted = await acquireAll(limiter, 4, Date.now());
+
+    assert.ok(granted[0] < 50);
+    assertSpaced(granted, 0, 50);
+  });
+
+  it("holds every caller back during a pause", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20 });
+    const start = Date.now();
+    limiter.pause(200);
+
+    assertSpaced(await acquireAll(limiter, 3, start), 200, 50);
+  });
+
+  it("keeps callers queued before a pause spaced out after it", async () => {
+    const limiter = new RateLimiter({ requestsPerSecond: 20 });
+    const start = Date.now();
+    const first = limiter.acquire();
+    const queued = acquireAll(limiter, 4, start);
+
+    // The first caller hits a rate limit error straight away
+    await first;
+    limiter.pause(300);
+
+    assertSpaced(await queued, 300, 50);
+  });
+});
@@ -0,0 +1,125 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  decodeCursor,
+  encodeCursor,
+  findScrobblePage,
+  getScrobbleFilter,
+} from "../lib/scrobble-query.js";
+import { createMemoryDb } from "./helpers/memory-db.js";
+
+describe("scrobble cursors", () => {
+  it("round-trips the time and count", () => {
+    const scrobbledAt = new Date("2024-03-13T12:00:00Z");
+    const cursor = encodeCursor(scrobbledAt, 3);
+
+    assert.match(cursor, /^[\w-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { scrobbledAt, seen: 3 });
+  });
+
+  it("rejects cursors it did not make", () => {
+    const encode = (value) => Buffer.from(value).toString("base64url");
+
+    assert.equal(decodeCursor("not a cursor"), null);
+    assert.equal(decodeCursor(encode("{}")), null);
+    assert.equal(decodeCursor(encode('{"t":"soon","n":1}')), null);
+    assert.equal(decodeCursor(encode('{"t":1710331200000,"n":-1}')), null);
+  });
+});
+
+describe("getScrobbleFilter", () => {
+  it("matches exact names through the collation", () => {
+    assert.deepEqual(getScrobbleFilter({ username: "alice", track: "Intro" }), {
+      deletedAt: null,
+      username: "alice",
+      trackTitle: "Intro",
+    });
+  });
+
+  it("searches with the text index and anchors exact names", () => {
+    const query = getScrobbleFilter({ artist: "A.B", q: 'say "hi"' });
+
+    assert.deepEqual(query.$text, { $search: '"say  hi "' });
+    assert.ok(query.artistName.test("a.b"));
+    assert.ok(!query.artistName.test("AxB"));
+    assert.ok(!query.artistName.test("A.B.C"));
+  });
+});
+
+describe("findScrobblePage", () => {
+  /**
+   * Store scrobbles, several sharing each time
+   * @returns {Promise<object>} - Database
+   */
+  async function seed() {
+    const db = createMemoryDb();
+    const collection = db.collection("scrobbles");
+    const times = [5, 5, 5, 4, 3, 3, 2, 1];
+    for (const [i, minute] of times.entries()) {
+      await collection.insertOne({
+        username: "alice",
+        trackTitle: `Track ${i}`,
+        scrobbledAt: new Date(Date.UTC(2024, 0, 1, 0, minute)),
+      });
+    }
+    return db;
+  }
+
+  /**
+   * Walk every page, following the cursors
+   * @param {object} db - Database
+   * @param {number} limit - Page size
+   * @param {Function} [between] - Called after each page
+   * @returns {Promise<Array<string>>} - Track titles in page order
+   */
+  async function walk(db, limit, between) {
+    const titles = [];
+    let cursor;
+    do {
+      const page = await findScrobblePage(db, {}, { limit, cursor });
+      titles.push(...page.docs.map((doc) => doc.trackTitle));
+      cursor = page.nextCursor && decodeCursor(page.nextCursor);
+      await between?.();
+    } while (cursor);
+    return titles;
+  }
+
+  it("returns every scrobble once, newest first", async () => {
+    const db = await seed();
+    const expected = await walk(db, 100);
+
+    assert.equal(expected.length, 8);
+    for (const limit of [1, 2, 3]) {
+      assert.deepEqual(await walk(db, limit), expected);
+    }
+  });
+
+  it("is not shifted by scrobbles arriving between pages", async () => {
+    const db = await seed();
+    const expected = await walk(db, 100);
+    let minute = 10;
+
+    const titles = await walk(db, 2, () =>
+      db.collection("scrobbles").insertOne({
+        username: "alice",
+        trackTitle: `New ${minute}`,
+        scrobbledAt: new Date(Date.UTC(2024, 0, 1, 0, minute++)),
+      }),
+    );
+
+    assert.deepEqual(titles, expected);
+  });
+
+  it("skips deleted scrobbles", async () => {
+    const db = await seed();
+    await db
+      .collection("scrobbles")
+      .updateOne(
+        { trackTitle: "Track 0" },
+        { $set: { deletedAt: new Date() } },
+      );
+
+    assert.ok(!(await walk(db, 2)).includes("Track 0"));
+  });
+});
@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { backfillScrobbles } from "../lib/sync.js";
+import { createMemoryDb } from "./helpers/memory-db.js";
+
+/**
+ * Create a Last.fm client serving a fixed history, newest page first
+ * @param {number} totalPages - Pages of history
+ * @param {object} [options] - Client options
+ * @param {number} [options.failOnPage] - Page whose request fails once
+ * @returns {object} - Client with the pages it was asked for
+ */
+function createClient(totalPages, { failOnPage } = {}) {
+  const requested = [];
+  let fail = failOnPage;
+
+  return {
+    username: "alice",
+    requested,
+    async getRecentTracks(page) {
+      if (page === fail) {
+        fail = undefined;
+        throw new Error("Rate limit exceeded");
+      }
+      requested.push(page);
+
+      // Older pages hold older scrobbles
+      const uts = (totalPages - page + 1) * 1_000_000;
+      return {
+        recenttracks: {
+          "@attr": { totalPages: String(totalPages) },
+          track: [
+            {
+              name: `Track ${page}`,
+              artist: { "#text": "Artist" },
+              album: { "#text": "Album" },
+              date: { uts: String(uts) },
+            },
+          ],
+        },
+      };
+    },
+  };
+}
+
+describe("backfillScrobbles", () => {
+  it("walks the history from the oldest page", async () => {
+    const db = createMemoryDb();
+    const client = createClient(3);
+
+    const { counts, completed } = await backfillScrobbles(db, client);
+
+    assert.equal(completed, true);
+    assert.equal(counts.inserted, 3);
+    // The first request only finds out how many pages there are
+    assert.deepEqual(client.requested, [1, 3, 2, 1]);
+  });
+
+  it("resumes from the checkpoint after an interruption", async () => {
+    const db = createMemoryDb();
+    const interrupted = createClient(4, { failOnPage: 2 });
+
+    await assert.rejects(backfillScrobbles(db, interrupted), /Rate limit/);
+    const checkpoint = await db
+      .collection("lastfmMeta")
+      .findOne({ key: "backfill", username: "alice" });
+    assert.equal(checkpoint.page, 2);
+    assert.equal(checkpoint.synced, 2);
+
+    const client = createClient(4);
+    const { counts } = await backfillScrobbles(db, client);
+
+    assert.deepEqual(client.requested, [2, 1]);
+    assert.equal(counts.inserted, 2);
+    assert.equal(await db.collection("scrobbles").countDocuments(), 4);
+  });
+
+  it("does nothing once the backfill has completed", async () => {
+    const db = createMemoryDb();
+    await backfillScrobbles(db, createClient(2));
+
+    const client = createClient(2);
+    const { counts, completed } = await backfillScrobbles(db, client);
+
+    assert.equal(completed, true);
+    assert.deepEqual(counts, { inserted: 0, updated: 0, skipped: 0 });
+    assert.deepEqual(client.requested, []);
+  });
+});